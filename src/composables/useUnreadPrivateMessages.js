@@ -0,0 +1,95 @@
+import { onUnmounted, ref, watch } from "vue";
+import useAuthUserState from "./useAuthUserState";
+import { fetchMyPrivateChat, fetchMyPrivateChats, subscribeToMyPrivateChats } from "../services/private-chat";
+
+/**
+ * Cantidad total de mensajes privados sin leer del usuario autenticado,
+ * actualizada en tiempo real (para el badge del menú).
+ */
+export default function useUnreadPrivateMessages() {
+    const user = useAuthUserState();
+    const unreadCount = ref(0);
+
+    // Sin leer por chat (id => cantidad): cada evento actualiza solo su chat
+    let unreadByChat = new Map();
+    let unsubscribeFromInbox = () => {};
+
+    function updateTotal() {
+        unreadCount.value = [...unreadByChat.values()].reduce((total, count) => total + count, 0);
+    }
+
+    async function load(userId) {
+        try {
+            const chats = await fetchMyPrivateChats(userId);
+            if (userId !== user.value.id) return;
+
+            unreadByChat = new Map(chats.map(chat => [chat.id, chat.unreadCount]));
+            updateTotal();
+            subscribe(userId);
+        } catch (error) {
+            console.error('[useUnreadPrivateMessages] Error contando mensajes sin leer:', error);
+        }
+    }
+
+    function subscribe(userId) {
+        unsubscribeFromInbox();
+        unsubscribeFromInbox = subscribeToMyPrivateChats(
+            userId,
+            [...unreadByChat.keys()],
+            event => handleInboxEvent(userId, event)
+        );
+    }
+
+    function handleInboxEvent(userId, event) {
+        if (event.type === 'message') {
+            const { chat_id: chatId, sender_id: senderId } = event.message;
+            if (senderId === userId || !unreadByChat.has(chatId)) return;
+
+            unreadByChat.set(chatId, unreadByChat.get(chatId) + 1);
+            updateTotal();
+        } else if (event.type === 'read') {
+            if (!unreadByChat.has(event.read.chat_id)) return;
+
+            unreadByChat.set(event.read.chat_id, 0);
+            updateTotal();
+        } else if (event.type === 'chat') {
+            refreshChat(userId, event.chat.id);
+        }
+        // Las ediciones no cambian el contador, y los borrados llegan de todos
+        // los chats: un mensaje borrado sin leer se descuenta al volver a cargar.
+    }
+
+    // Un chat nuevo, o un grupo al que me agregaron o del que me sacaron
+    async function refreshChat(userId, chatId) {
+        try {
+            const chat = await fetchMyPrivateChat(userId, chatId);
+            if (userId !== user.value.id) return;
+
+            const wasListed = unreadByChat.has(chatId);
+            if (chat) unreadByChat.set(chatId, chat.unreadCount);
+            else unreadByChat.delete(chatId);
+            updateTotal();
+
+            // Solo re-suscribirse si cambiaron los chats a escuchar
+            if (wasListed !== !!chat) subscribe(userId);
+        } catch (error) {
+            console.error('[useUnreadPrivateMessages] Error actualizando el chat:', error);
+        }
+    }
+
+    function stop() {
+        unsubscribeFromInbox();
+        unsubscribeFromInbox = () => {};
+        unreadByChat = new Map();
+    }
+
+    watch(() => user.value.id, id => {
+        stop();
+        unreadCount.value = 0;
+        if (id) load(id);
+    }, { immediate: true });
+
+    onUnmounted(() => stop());
+
+    return unreadCount;
+}
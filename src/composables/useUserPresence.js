@@ -0,0 +1,20 @@
+import { onMounted, onUnmounted, ref } from "vue";
+import { subscribeToUserPresence } from "../services/private-chat";
+
+/**
+ * Estado de conexión de un usuario: { online, lastSeenAt }.
+ */
+export default function useUserPresence(id) {
+    let unsubscribeFromPresence = () => {};
+
+    const presence = ref({
+        online: false,
+        lastSeenAt: null,
+    });
+
+    onMounted(() => unsubscribeFromPresence = subscribeToUserPresence(id, newState => presence.value = newState));
+
+    onUnmounted(() => unsubscribeFromPresence());
+
+    return presence;
+}
@@ -0,0 +1,71 @@
+// Arma hilos de comentarios a partir de la lista plana que devuelve comments.js.
+// Cada comentario puede tener parent_id (respuesta a otro comentario).
+
+/** Profundidad máxima de sangría; las respuestas más profundas se muestran en este nivel */
+export const MAX_COMMENT_DEPTH = 3;
+
+/** Respuestas visibles por comentario antes de "Ver más respuestas" */
+export const VISIBLE_REPLIES = 2;
+
+function byDateAscending(a, b) {
+    return new Date(a.created_at) - new Date(b.created_at);
+}
+
+/**
+ * Convierte la lista plana en árbol: { ...comment, replies: [] }.
+ * Los comentarios raíz conservan el orden de la lista (el orden elegido al
+ * traerlos) y las respuestas van en orden cronológico. Si el padre no está
+ * en la lista, el comentario queda como raíz.
+ */
+export function buildCommentTree(comments = []) {
+    const nodes = new Map(comments.map(c => [c.id, { ...c, replies: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent_id != null ? nodes.get(node.parent_id) : null;
+        if (parent && parent !== node) parent.replies.push(node);
+        else roots.push(node);
+    }
+
+    for (const node of nodes.values()) node.replies.sort(byDateAscending);
+
+    return roots;
+}
+
+/**
+ * Aplana el árbol en filas para renderizar con un solo v-for:
+ *  - { kind: 'comment', key, comment, depth }
+ *  - { kind: 'more', key, parentId, hidden, depth } para "Ver más respuestas"
+ *    (hidden es 0 si todas las cargadas se ven pero quedan más por traer)
+ * expandedIds: Set con los ids de comentarios cuyas respuestas se muestran todas.
+ * opts.moreIds: Set con los ids de comentarios que tienen más respuestas sin traer.
+ */
+export function flattenCommentTree(roots, expandedIds = new Set(), {
+    maxDepth = MAX_COMMENT_DEPTH,
+    visibleReplies = VISIBLE_REPLIES,
+    moreIds = new Set(),
+} = {}) {
+    const rows = [];
+
+    function walk(node, depth) {
+        rows.push({ kind: 'comment', key: node.id, comment: node, depth: Math.min(depth, maxDepth) });
+
+        const shown = expandedIds.has(node.id) ? node.replies : node.replies.slice(0, visibleReplies);
+        shown.forEach(reply => walk(reply, depth + 1));
+
+        const hidden = node.replies.length - shown.length;
+        if (hidden > 0 || moreIds.has(node.id)) {
+            rows.push({
+                kind: 'more',
+                key: `more-${node.id}`,
+                parentId: node.id,
+                hidden,
+                depth: Math.min(depth + 1, maxDepth),
+            });
+        }
+    }
+
+    roots.forEach(root => walk(root, 0));
+
+    return rows;
+}
@@ -0,0 +1,137 @@
+// Procesamiento de imágenes en el navegador antes de subirlas.
+// La imagen se dibuja en un canvas (OffscreenCanvas si está disponible) y se
+// vuelve a codificar. Con eso:
+//  - se aplica la orientación de la foto (EXIF) y se pierde toda la metadata,
+//    incluida la ubicación GPS de las fotos sacadas con el celular;
+//  - se achica para que el lado más largo no pase de maxSize;
+//  - se convierte a WebP (o a JPEG en los navegadores que no lo generan).
+// Las fotos de perfil y de los posts van a buckets públicos: solo se aceptan
+// los tipos que se pueden procesar, el resto (GIF, TIFF, SVG…) se rechaza. Los
+// adjuntos del chat de otros tipos se suben como archivos, sin procesar.
+
+/** Lado más largo de las imágenes de los posts */
+export const POST_IMAGE_MAX_SIZE = 1920;
+
+/** Lado más largo de las miniaturas que se muestran en los listados */
+export const THUMBNAIL_MAX_SIZE = 480;
+
+/** Lado más largo de las fotos de perfil */
+export const AVATAR_MAX_SIZE = 512;
+
+const DEFAULT_QUALITY = 0.85;
+
+/** Tipos que se procesan */
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/bmp', 'image/heic', 'image/heif'];
+
+/** Valor de accept para los inputs de fotos de perfil y de posts */
+export const PROCESSABLE_IMAGE_ACCEPT = PROCESSABLE_TYPES.join(',');
+
+/** Mensaje para los archivos que no se pueden procesar */
+export const UNPROCESSABLE_IMAGE_MESSAGE = 'Solo se pueden subir imágenes JPG, PNG, WebP, AVIF, BMP o HEIC.';
+
+/** Saber si un archivo pasa por el procesamiento */
+export function isProcessableImage(file) {
+    return !!file && PROCESSABLE_TYPES.includes(file.type);
+}
+
+/**
+ * Decodifica la imagen ya rotada según su EXIF.
+ * Retorna un ImageBitmap o, si el navegador no lo soporta, un HTMLImageElement
+ * (que también respeta la orientación).
+ */
+async function decodeImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+        } catch (error) {
+            console.warn('[image.js decodeImage] createImageBitmap falló, se usa <img>:', error);
+        }
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('No se pudo generar la imagen.')), type, quality);
+    });
+}
+
+/** Dibuja la imagen achicada (nunca agrandada) y la codifica */
+async function renderImage(source, maxSize, quality) {
+    const scale = Math.min(1, maxSize / Math.max(source.width, source.height));
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, width, height);
+
+    // Si el navegador no genera WebP, devuelve PNG: se usa JPEG en ese caso
+    const blob = await canvasToBlob(canvas, 'image/webp', quality);
+    if (blob.type === 'image/webp') return blob;
+
+    return canvasToBlob(canvas, 'image/jpeg', quality);
+}
+
+/** Nombre del archivo con la extensión del tipo nuevo */
+function renameFile(name, type, suffix = '') {
+    const base = (name || 'imagen').replace(/\.[^.]+$/, '');
+    return `${base}${suffix}.${type === 'image/webp' ? 'webp' : 'jpg'}`;
+}
+
+/**
+ * Procesar una imagen y, si se pide, generar su miniatura.
+ * opts: { maxSize, thumbnailSize, quality }; sin thumbnailSize no hay miniatura.
+ * Retorna { image, thumbnail } con File listos para subir (thumbnail es null
+ * si no se pidió).
+ * Lanza un Error si el tipo no se procesa o si la imagen no se puede leer.
+ */
+export async function processImage(file, { maxSize = POST_IMAGE_MAX_SIZE, thumbnailSize = null, quality = DEFAULT_QUALITY } = {}) {
+    if (!isProcessableImage(file)) {
+        throw new Error(`No se puede subir "${file?.name ?? 'el archivo'}". ${UNPROCESSABLE_IMAGE_MESSAGE}`);
+    }
+
+    let source;
+    try {
+        source = await decodeImage(file);
+    } catch (error) {
+        console.error('[image.js processImage] No se pudo leer la imagen:', file.name, error);
+        throw new Error(`No se pudo leer la imagen "${file.name}". Probá con una JPG, PNG o WebP.`);
+    }
+
+    try {
+        const imageBlob = await renderImage(source, maxSize, quality);
+        const image = new File([imageBlob], renameFile(file.name, imageBlob.type), { type: imageBlob.type });
+
+        let thumbnail = null;
+        if (thumbnailSize) {
+            const thumbnailBlob = await renderImage(source, thumbnailSize, quality);
+            thumbnail = new File([thumbnailBlob], renameFile(file.name, thumbnailBlob.type, '_thumb'), { type: thumbnailBlob.type });
+        }
+
+        return { image, thumbnail };
+    } finally {
+        source.close?.();
+    }
+}
@@ -0,0 +1,99 @@
+// Menciones (@nombre) en publicaciones y comentarios.
+// El texto se guarda tal cual y las menciones van aparte, en la columna
+// `mentions` (jsonb) de posts y comments: [{ id, name }], donde name es lo que
+// se escribió después de la @. Al mostrar el texto, cada "@name" de la lista
+// se convierte en un link al perfil (ver MentionText.vue).
+
+/** Largo máximo de lo escrito después de la @ para seguir sugiriendo usuarios */
+export const MENTION_QUERY_MAX_LENGTH = 30;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Nombre con el que se menciona a un usuario */
+export function mentionName(profile) {
+    return profile.display_name || profile.email;
+}
+
+/**
+ * Si el cursor está justo después de una mención a medio escribir ("hola @mar|"),
+ * retorna { start, query } con la posición de la @ y lo escrito después; si no, null.
+ * La @ tiene que estar al inicio o después de un espacio (así no se confunde con un email).
+ */
+export function findMentionQuery(text = '', caret = text.length) {
+    const before = text.slice(0, caret);
+    const start = before.lastIndexOf('@');
+    if (start === -1) return null;
+    if (start > 0 && !/\s/.test(before[start - 1])) return null;
+
+    const query = before.slice(start + 1);
+    if (query.length > MENTION_QUERY_MAX_LENGTH || /^\s|[\n@]|\s{2}/.test(query)) return null;
+
+    return { start, query };
+}
+
+/**
+ * Reemplaza la mención a medio escribir (de start a caret) por "@nombre ".
+ * Retorna { text, caret } con la posición del cursor después de la mención.
+ */
+export function insertMention(text, start, caret, profile) {
+    const inserted = `@${mentionName(profile)} `;
+
+    return {
+        text: text.slice(0, start) + inserted + text.slice(caret),
+        caret: start + inserted.length,
+    };
+}
+
+function buildMentionsRegExp(mentions) {
+    const names = [...new Set(mentions.map(m => m.name).filter(Boolean))]
+        // los nombres más largos primero ("Ana María" antes que "Ana")
+        .sort((a, b) => b.length - a.length);
+    if (!names.length) return null;
+
+    return new RegExp(`(^|\\s)@(${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+/**
+ * Se queda con las menciones que siguen en el texto (sin repetir usuarios),
+ * por ejemplo después de editarlo.
+ */
+export function collectMentions(text = '', mentions = []) {
+    const regexp = buildMentionsRegExp(mentions);
+    if (!text || !regexp) return [];
+
+    const used = new Set([...text.matchAll(regexp)].map(found => found[2]));
+    const seen = new Set();
+
+    return mentions.filter(mention => {
+        if (!used.has(mention.name) || seen.has(mention.id)) return false;
+        seen.add(mention.id);
+        return true;
+    });
+}
+
+/**
+ * Divide el texto en segmentos { text, mention } para renderizar las menciones
+ * sin usar v-html. mention es { id, name } o null.
+ */
+export function splitMentions(text = '', mentions = []) {
+    const regexp = buildMentionsRegExp(mentions ?? []);
+    if (!text || !regexp) return [{ text: text ?? '', mention: null }];
+
+    const segments = [];
+    let last = 0;
+
+    for (const found of text.matchAll(regexp)) {
+        const start = found.index + found[1].length;
+        const end = start + 1 + found[2].length;
+
+        if (start > last) segments.push({ text: text.slice(last, start), mention: null });
+        segments.push({ text: text.slice(start, end), mention: mentions.find(m => m.name === found[2]) });
+        last = end;
+    }
+
+    if (last < text.length) segments.push({ text: text.slice(last), mention: null });
+
+    return segments;
+}
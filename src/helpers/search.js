@@ -0,0 +1,94 @@
+// Utilidades para la búsqueda de texto: separar términos y resaltar
+// coincidencias sin depender de mayúsculas ni tildes.
+
+/**
+ * Normaliza carácter por carácter (minúsculas y sin tildes) manteniendo
+ * el mismo largo que el texto original, para poder mapear posiciones.
+ */
+function normalizeForMatch(text = '') {
+    return text
+        .split('')
+        .map(ch => ch.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().charAt(0) || ' ')
+        .join('');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Separa la búsqueda en términos para resaltar y filtrar.
+ * Ignora operadores (or, -excluido) y palabras de menos de 2 letras.
+ * Los plurales simples se recortan para coincidir también con el singular.
+ */
+export function getSearchTerms(query = '') {
+    const words = normalizeForMatch(query)
+        .replace(/["()]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && word !== 'or' && !word.startsWith('-'))
+        .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(word => word.length >= 2)
+        .map(word => (word.length > 4 && word.endsWith('s') ? word.slice(0, -1) : word));
+
+    return [...new Set(words)];
+}
+
+function buildTermsRegExp(terms) {
+    if (!terms.length) return null;
+    // Coincide al inicio de palabra (para que "piel" no marque "papiel")
+    // y se extiende hasta el final de la palabra.
+    return new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})([\\p{L}\\p{N}]*)`, 'gu');
+}
+
+/**
+ * Divide el texto en segmentos { text, match } para renderizar el resaltado
+ * sin usar v-html.
+ */
+export function highlightText(text = '', terms = []) {
+    const regexp = buildTermsRegExp(terms);
+    if (!text || !regexp) return [{ text: text ?? '', match: false }];
+
+    const normalized = normalizeForMatch(text);
+    const segments = [];
+    let last = 0;
+
+    for (const found of normalized.matchAll(regexp)) {
+        const start = found.index + found[1].length;
+        const end = start + found[2].length + found[3].length;
+
+        if (start > last) segments.push({ text: text.slice(last, start), match: false });
+        segments.push({ text: text.slice(start, end), match: true });
+        last = end;
+    }
+
+    if (last < text.length) segments.push({ text: text.slice(last), match: false });
+
+    return segments;
+}
+
+/**
+ * true si el texto contiene todos los términos (al inicio de una palabra).
+ */
+export function matchesAllTerms(text = '', terms = []) {
+    if (!text || !terms.length) return false;
+
+    const normalized = normalizeForMatch(text);
+    return terms.every(term => buildTermsRegExp([term]).test(normalized));
+}
+
+/**
+ * Recorta un texto largo alrededor de la primera coincidencia, para mostrar
+ * el contexto en los resultados. Agrega "…" donde se cortó.
+ */
+export function excerptText(text = '', terms = [], radius = 60) {
+    if (!text || text.length <= radius * 2) return text ?? '';
+
+    const regexp = buildTermsRegExp(terms);
+    const found = regexp ? regexp.exec(normalizeForMatch(text)) : null;
+    const matchAt = found ? found.index + found[1].length : 0;
+
+    const start = Math.max(0, matchAt - radius);
+    const end = Math.min(text.length, matchAt + radius);
+
+    return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+}
@@ -1,5 +1,6 @@
 import { createRouter, createWebHistory } from 'vue-router'
 import { supabase } from '../services/supabase.js'
+import { fetchUserProfileById, hasRole } from '../services/user-profiles.js'
 
 // Importamos los componentes (páginas) con imports directos
 import Home from "../pages/Home.vue";
@@ -9,22 +10,43 @@ import Login from "../pages/Login.vue";
 import Register from "../pages/Register.vue";
 import MiPerfil from "../pages/MiPerfil.vue";
 import MiPerfilEditar from '../pages/MiPerfilEditar.vue';
+import MisColecciones from '../pages/MisColecciones.vue';
 import UsuarioPerfil from '../pages/UsuarioPerfil.vue';
 import ChatPrivado from "../pages/ChatPrivado.vue";
 import PostDetalle from "../pages/PostDetalle.vue";
+import Buscar from "../pages/Buscar.vue";
+import TagPublicaciones from "../pages/TagPublicaciones.vue";
+import Mensajes from "../pages/Mensajes.vue";
+import GrupoChat from "../pages/GrupoChat.vue";
+import BuscarMensajes from "../pages/BuscarMensajes.vue";
+import AdminReportes from "../pages/AdminReportes.vue";
+import AdminUsuarios from "../pages/AdminUsuarios.vue";
+import AdminRegistro from "../pages/AdminRegistro.vue";
+import AdminArchivos from "../pages/AdminArchivos.vue";
 
 
 const routes = [
   { path: '/', name: 'Home', component: Home },
   { path: '/publicaciones', name: 'Publicaciones', component: Publicaciones },
+  { path: '/buscar', name: 'Buscar', component: Buscar },
+  { path: '/tag/:slug', name: 'TagPublicaciones', component: TagPublicaciones },
   { path: '/post/:id', name: 'PostDetalle', component: PostDetalle, props: true },
   { path: '/crear-post', name: 'CrearPost', component: CrearPost, meta: { requiresAuth: true } },
   { path: '/login', name: 'Login', component: Login, meta: { guestOnly: true } },
   { path: '/register', name: 'Register', component: Register, meta: { guestOnly: true } },
   { path: '/mi-perfil', name: 'MiPerfil', component: MiPerfil, meta: { requiresAuth: true } },
   { path: '/mi-perfil/editar', name: 'MiPerfilEditar', component: MiPerfilEditar, meta: { requiresAuth: true } },
+  { path: '/mi-perfil/colecciones/:id?', name: 'MisColecciones', component: MisColecciones, meta: { requiresAuth: true } },
   { path: '/usuario/:id', name: 'UsuarioPerfil', component: UsuarioPerfil, props: true },
+  { path: '/mensajes', name: 'Mensajes', component: Mensajes, meta: { requiresAuth: true } },
+  { path: '/mensajes/buscar', name: 'BuscarMensajes', component: BuscarMensajes, meta: { requiresAuth: true } },
   { path: '/usuario/:id/chat', name: 'ChatPrivado', component: ChatPrivado, props: true, meta: { requiresAuth: true } },
+  { path: '/grupos/:id', name: 'GrupoChat', component: GrupoChat, props: true, meta: { requiresAuth: true } },
+  // Consola de moderación: requiresRole pide ese rol o uno mayor (ver hasRole)
+  { path: '/admin', name: 'AdminReportes', component: AdminReportes, meta: { requiresAuth: true, requiresRole: 'moderator' } },
+  { path: '/admin/usuarios', name: 'AdminUsuarios', component: AdminUsuarios, meta: { requiresAuth: true, requiresRole: 'moderator' } },
+  { path: '/admin/registro', name: 'AdminRegistro', component: AdminRegistro, meta: { requiresAuth: true, requiresRole: 'moderator' } },
+  { path: '/admin/archivos', name: 'AdminArchivos', component: AdminArchivos, meta: { requiresAuth: true, requiresRole: 'admin' } },
   
 ]
 
@@ -40,17 +62,24 @@ const router = createRouter({
 router.beforeEach(async (to) => {
   const requiresAuth = to.matched.some(r => r.meta?.requiresAuth)
   const guestOnly = to.matched.some(r => r.meta?.guestOnly)
+  const requiredRole = to.matched.map(r => r.meta?.requiresRole).filter(Boolean).pop() ?? null
 
-  if (!requiresAuth && !guestOnly) return true
+  if (!requiresAuth && !guestOnly && !requiredRole) return true
 
   try {
     const { data } = await supabase.auth.getUser()
     const user = data?.user ?? null
 
-    if (requiresAuth && !user) {
+    if ((requiresAuth || requiredRole) && !user) {
       return { name: 'Login', query: { redirect: to.fullPath } }
     }
 
+    // El rol se consulta siempre en user_profiles (puede haber cambiado)
+    if (requiredRole) {
+      const profile = await fetchUserProfileById(user.id)
+      if (!hasRole(profile, requiredRole)) return { name: 'Home' }
+    }
+
     if (guestOnly && user) {
       const redirectTo = to.query?.redirect || '/'
       return redirectTo
@@ -59,6 +88,7 @@ router.beforeEach(async (to) => {
     return true
   } catch (err) {
     console.error('Error en router guard:', err)
+    if (requiredRole) return { name: 'Home' }
     if (requiresAuth) return { name: 'Login', query: { redirect: to.fullPath } }
     return true
   }
@@ -0,0 +1,389 @@
+import { supabase } from "./supabase";
+import { removePostImageFiles } from "./post-images";
+import { USER_ROLES } from "./user-profiles";
+import { deleteOrphanedFiles, filterOrphanedFiles } from "./storage-sweep";
+
+// Consola de moderación (/admin), para los usuarios con rol 'moderator' o
+// 'admin' (ver hasRole en user-profiles.js).
+//
+// Columnas que usa:
+//  - posts.hidden_at y comments.hidden_at: null si el contenido está visible.
+//    Las políticas de RLS no devuelven lo oculto salvo a su autor y al equipo de
+//    moderación; en la app se muestra un aviso en su lugar.
+//  - content_reports.status ('pending' | 'resolved' | 'dismissed'), reviewed_by
+//    y reviewed_at (ver moderation.js).
+//  - user_profiles.role, suspended_at y suspension_reason (ver user-profiles.js).
+//
+// Tabla moderation_log (registro de auditoría):
+// { id, moderator_id, action, target_type, target_id, report_id, reason, details, created_at }
+//  - action: una de las claves de MODERATION_ACTIONS.
+//  - target_type: 'post', 'comment', 'user', 'report' o 'storage'; target_id
+//    es el id como texto (los usuarios tienen uuid y el resto ids numéricos;
+//    en 'storage', los buckets barridos).
+//  - details: jsonb con datos extra (por ejemplo, el contenido borrado).
+// Las políticas de RLS dejan leer solo al equipo de moderación. Las filas las
+// graban las funciones de moderación y nadie puede modificarlas ni borrarlas.
+//
+// Cada acción se hace con una función de la base (supabase.rpc) que cambia el
+// contenido o la cuenta y graba el registro en la misma transacción, y que
+// controla el rol de quien llama. Desde la API no se pueden hacer esos cambios
+// directamente (ver supabase/migrations/*_moderation_actions.sql).
+//
+// Permisos:
+//  - moderadores: revisar reportes, ocultar o borrar posts y comentarios, y
+//    suspender cuentas de miembros.
+//  - admins: además, cambiar roles, suspender a cualquier cuenta y borrar
+//    archivos huérfanos (ver storage-sweep.js).
+
+/** Acciones que se registran, con su texto para el registro */
+export const MODERATION_ACTIONS = {
+    hide_post: 'ocultó una publicación',
+    unhide_post: 'volvió a mostrar una publicación',
+    delete_post: 'borró una publicación',
+    hide_comment: 'ocultó un comentario',
+    unhide_comment: 'volvió a mostrar un comentario',
+    delete_comment: 'borró un comentario',
+    suspend_user: 'suspendió una cuenta',
+    unsuspend_user: 'reactivó una cuenta',
+    change_role: 'cambió el rol de un usuario',
+    resolve_report: 'resolvió un reporte',
+    dismiss_report: 'descartó un reporte',
+    delete_files: 'borró archivos huérfanos',
+};
+
+/** Estados de los reportes, con su nombre para mostrar */
+export const REPORT_STATUSES = [
+    { value: 'pending', label: 'Pendientes' },
+    { value: 'resolved', label: 'Resueltos' },
+    { value: 'dismissed', label: 'Descartados' },
+];
+
+/** Cantidad de reportes y de acciones del registro por página */
+export const ADMIN_PAGE_SIZE = 20;
+
+const PROFILE_COLUMNS = 'id, email, display_name, photo_url, role, suspended_at';
+
+// Aplica el cursor { created_at, id } a una query ordenada por created_at desc, id desc.
+function applyCursor(query, cursor) {
+    if(!cursor) return query;
+    return query.or(`created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.lt.${cursor.id})`);
+}
+
+function toPage(rows, limit) {
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+    const last = items[items.length - 1];
+
+    return { items, nextCursor: hasMore && last ? { created_at: last.created_at, id: last.id } : null };
+}
+
+async function fetchProfilesByIds(ids) {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    if(!uniqueIds.length) return [];
+
+    const { data, error } = await supabase
+        .from('user_profiles')
+        .select(PROFILE_COLUMNS)
+        .in('id', uniqueIds);
+
+    if(error) throw error;
+
+    return data;
+}
+
+// ------------------------------------------------------------------
+// Reportes.
+
+/**
+ * Traer una página de reportes (más nuevos primero).
+ * opts: { status, cursor, limit } donde status es uno de REPORT_STATUSES.
+ * Cada item trae además:
+ *  - reporter y reportedUser: perfiles (o null).
+ *  - post y comment: el contenido reportado (null si ya no existe).
+ * Retorna: { items, nextCursor }
+ */
+export async function fetchReports({ status = 'pending', cursor = null, limit = ADMIN_PAGE_SIZE } = {}) {
+    try {
+        let query = supabase
+            .from('content_reports')
+            .select()
+            .eq('status', status)
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit + 1);
+
+        query = applyCursor(query, cursor);
+
+        const { data, error } = await query;
+        if(error) throw error;
+
+        const page = toPage(data, limit);
+        const postIds = [...new Set(page.items.map(report => report.post_id).filter(Boolean))];
+        const commentIds = [...new Set(page.items.map(report => report.comment_id).filter(Boolean))];
+
+        const [profiles, posts, comments] = await Promise.all([
+            fetchProfilesByIds(page.items.flatMap(report => [report.reporter_id, report.reported_user_id])),
+            postIds.length
+                ? supabase.from('posts').select('id, sender_id, user_email, content, hidden_at, created_at').in('id', postIds)
+                : { data: [], error: null },
+            commentIds.length
+                ? supabase.from('comments').select('id, post_id, author_id, author_email, content, hidden_at, created_at').in('id', commentIds)
+                : { data: [], error: null },
+        ]);
+
+        if(posts.error || comments.error) throw posts.error ?? comments.error;
+
+        return {
+            items: page.items.map(report => ({
+                ...report,
+                reporter: profiles.find(profile => profile.id === report.reporter_id) ?? null,
+                reportedUser: profiles.find(profile => profile.id === report.reported_user_id) ?? null,
+                post: posts.data.find(post => post.id === report.post_id) ?? null,
+                comment: report.comment_id
+                    ? (comments.data.find(comment => comment.id === report.comment_id) ?? null)
+                    : null,
+            })),
+            nextCursor: page.nextCursor,
+        };
+    } catch (error) {
+        console.error('[admin.js fetchReports] Error al traer los reportes:', status, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Cerrar un reporte sin tocar el contenido.
+ * @param {string} moderatorId
+ * @param {Object} report
+ * @param {'resolved'|'dismissed'} status
+ * @param {string} [reason] nota del moderador
+ */
+export async function reviewReport(moderatorId, report, status, reason = '') {
+    if(!['resolved', 'dismissed'].includes(status)) throw new Error('reviewReport: status inválido');
+
+    const { error } = await supabase.rpc('moderation_review_report', {
+        p_report_id: report.id,
+        p_status: status,
+        p_reason: reason,
+    });
+
+    if(error) {
+        console.error('[admin.js reviewReport] Error al actualizar el reporte:', moderatorId, report.id, error);
+        throw new Error(error.message);
+    }
+}
+
+// ------------------------------------------------------------------
+// Contenido.
+
+/**
+ * Ocultar o volver a mostrar un post o un comentario. Al ocultarlo se
+ * resuelven sus reportes pendientes.
+ * @param {string} moderatorId
+ * @param {{targetType: 'post'|'comment', id: string|number, hidden: boolean, reason?: string, reportId?: string|number}} opts
+ */
+export async function setContentHidden(moderatorId, { targetType, id, hidden, reason = '', reportId = null }) {
+    if(!['post', 'comment'].includes(targetType)) throw new Error('setContentHidden: targetType inválido');
+
+    const { error } = await supabase.rpc('moderation_set_content_hidden', {
+        p_target_type: targetType,
+        p_target_id: id,
+        p_hidden: hidden,
+        p_reason: reason,
+        p_report_id: reportId,
+    });
+
+    if(error) {
+        console.error('[admin.js setContentHidden] Error al ocultar el contenido:', moderatorId, targetType, id, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Borrar un post o un comentario. En el registro queda una copia del
+ * contenido, y sus reportes pendientes se resuelven.
+ * @param {string} moderatorId
+ * @param {{targetType: 'post'|'comment', id: string|number, reason?: string, reportId?: string|number}} opts
+ */
+export async function deleteContent(moderatorId, { targetType, id, reason = '', reportId = null }) {
+    if(!['post', 'comment'].includes(targetType)) throw new Error('deleteContent: targetType inválido');
+
+    const { data: filePaths, error } = await supabase.rpc('moderation_delete_content', {
+        p_target_type: targetType,
+        p_target_id: id,
+        p_reason: reason,
+        p_report_id: reportId,
+    });
+
+    if(error) {
+        console.error('[admin.js deleteContent] Error al borrar el contenido:', moderatorId, targetType, id, error);
+        throw new Error(error.message);
+    }
+
+    // Las imágenes del post se borran del bucket después, con la política de
+    // storage del equipo de moderación (si falla, las encuentra
+    // findOrphanedFiles en storage-sweep.js).
+    await removePostImageFiles(filePaths ?? []);
+}
+
+// ------------------------------------------------------------------
+// Cuentas.
+
+/**
+ * Perfiles de las cuentas suspendidas (la suspensión más nueva primero).
+ * @returns {Promise<Array>}
+ */
+export async function fetchSuspendedProfiles() {
+    const { data, error } = await supabase
+        .from('user_profiles')
+        .select(`${PROFILE_COLUMNS}, suspension_reason`)
+        .not('suspended_at', 'is', null)
+        .order('suspended_at', { ascending: false });
+
+    if(error) {
+        console.error('[admin.js fetchSuspendedProfiles] Error al traer las cuentas suspendidas:', error);
+        throw new Error(error.message);
+    }
+
+    return data;
+}
+
+/**
+ * Suspender una cuenta: no puede iniciar sesión (ver auth.js) y las políticas
+ * de RLS no la dejan crear ni editar contenido.
+ * @param {string} moderatorId
+ * @param {string} userId
+ * @param {string} reason motivo (se le muestra al usuario)
+ */
+export async function suspendUser(moderatorId, userId, reason) {
+    if(moderatorId === userId) throw new Error('No podés suspender tu propia cuenta.');
+    if(!reason?.trim()) throw new Error('Indicá el motivo de la suspensión.');
+
+    const { error } = await supabase.rpc('moderation_set_suspension', {
+        p_user_id: userId,
+        p_suspended: true,
+        p_reason: reason,
+    });
+
+    if(error) {
+        console.error('[admin.js suspendUser] Error al suspender la cuenta:', userId, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Reactivar una cuenta suspendida.
+ * @param {string} moderatorId
+ * @param {string} userId
+ * @param {string} [reason]
+ */
+export async function unsuspendUser(moderatorId, userId, reason = '') {
+    const { error } = await supabase.rpc('moderation_set_suspension', {
+        p_user_id: userId,
+        p_suspended: false,
+        p_reason: reason,
+    });
+
+    if(error) {
+        console.error('[admin.js unsuspendUser] Error al reactivar la cuenta:', moderatorId, userId, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Cambiar el rol de un usuario (solo admins).
+ * @param {string} adminId
+ * @param {string} userId
+ * @param {string} role uno de USER_ROLES
+ */
+export async function setUserRole(adminId, userId, role) {
+    if(!USER_ROLES.includes(role)) throw new Error('Rol inválido.');
+    if(adminId === userId) throw new Error('No podés cambiar tu propio rol.');
+
+    const { error } = await supabase.rpc('moderation_set_role', { p_user_id: userId, p_role: role });
+
+    if(error) {
+        console.error('[admin.js setUserRole] Error al cambiar el rol:', userId, role, error);
+        throw new Error(error.message);
+    }
+}
+
+// ------------------------------------------------------------------
+// Archivos.
+
+/**
+ * Borrar archivos huérfanos (los que devuelve findOrphanedFiles en
+ * storage-sweep.js) y dejarlo en el registro. Antes de borrarlos se vuelve a
+ * revisar la base: los que se empezaron a usar no se borran.
+ * @param {string} adminId
+ * @param {Array<{bucket: string, path: string}>} files
+ * @returns {Promise<number>} cantidad de archivos borrados
+ */
+export async function sweepOrphanedFiles(adminId, files) {
+    if(!files?.length) return 0;
+
+    const orphaned = await filterOrphanedFiles(files);
+    if(!orphaned.length) return 0;
+
+    const deleted = await deleteOrphanedFiles(orphaned);
+    const buckets = [...new Set(orphaned.map(file => file.bucket))];
+
+    // Los archivos se borran con la API de storage: el registro se graba después.
+    const { error } = await supabase.rpc('moderation_log_files_deleted', {
+        p_buckets: buckets.join(','),
+        p_details: { count: deleted, paths: orphaned.map(file => `${file.bucket}/${file.path}`) },
+    });
+
+    if(error) {
+        console.error('[admin.js sweepOrphanedFiles] Error al registrar el borrado:', adminId, error);
+        throw new Error('Los archivos se borraron, pero no se pudo guardar en el registro.');
+    }
+
+    return deleted;
+}
+
+// ------------------------------------------------------------------
+// Registro.
+
+/**
+ * Traer una página del registro de moderación (más nuevas primero).
+ * opts: { cursor, limit }.
+ * Cada item trae además moderator (perfil) y, en las acciones sobre cuentas,
+ * targetUser (perfil).
+ * Retorna: { items, nextCursor }
+ */
+export async function fetchModerationLog({ cursor = null, limit = ADMIN_PAGE_SIZE } = {}) {
+    try {
+        let query = supabase
+            .from('moderation_log')
+            .select()
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit + 1);
+
+        query = applyCursor(query, cursor);
+
+        const { data, error } = await query;
+        if(error) throw error;
+
+        const page = toPage(data, limit);
+        const profiles = await fetchProfilesByIds(page.items.flatMap(entry => [
+            entry.moderator_id,
+            entry.target_type === 'user' ? entry.target_id : null,
+        ]));
+
+        return {
+            items: page.items.map(entry => ({
+                ...entry,
+                moderator: profiles.find(profile => profile.id === entry.moderator_id) ?? { id: entry.moderator_id },
+                targetUser: entry.target_type === 'user'
+                    ? (profiles.find(profile => profile.id === entry.target_id) ?? { id: entry.target_id })
+                    : null,
+            })),
+            nextCursor: page.nextCursor,
+        };
+    } catch (error) {
+        console.error('[admin.js fetchModerationLog] Error al traer el registro:', error);
+        throw new Error(error.message);
+    }
+}
@@ -5,6 +5,12 @@ import {
   createUserProfile,
   updateUserProfile,
 } from "./user-profiles";
+import {
+  deleteFile,
+  pathFromPublicUrl,
+  uploadUserAvatar,
+  DEFAULT_BUCKET,
+} from "./storage";
 
 /* Estado global del usuario y sistema de observers*/
 let user = {
@@ -43,6 +49,16 @@ async function fetchCurrentAuthUserData() {
   await fetchFullProfile();
 }
 
+/* Suspensión*/
+/**
+ * Mensaje para una cuenta suspendida por moderación (ver admin.js).
+ */
+function suspensionMessage(profile) {
+  return profile.suspension_reason
+    ? `Tu cuenta está suspendida: ${profile.suspension_reason}`
+    : "Tu cuenta está suspendida.";
+}
+
 /* Traer perfil completo desde user_profiles*/
 async function fetchFullProfile() {
   try {
@@ -50,6 +66,13 @@ async function fetchFullProfile() {
 
     const profile = await fetchUserProfileById(user.id);
 
+    // Si la suspendieron con la sesión abierta, se cierra.
+    if (profile?.suspended_at) {
+      console.warn("[auth.js fetchFullProfile]", suspensionMessage(profile));
+      await logout();
+      return;
+    }
+
     user = {
       ...user,
       ...profile,
@@ -109,6 +132,19 @@ export async function login(email, password) {
     throw new Error(error.message);
   }
 
+  // Las cuentas suspendidas no pueden entrar.
+  let profile = null;
+  try {
+    profile = await fetchUserProfileById(data.user.id);
+  } catch (error) {
+    console.error("[auth.js login] Error al traer el perfil:", error.message);
+  }
+
+  if (profile?.suspended_at) {
+    await supabase.auth.signOut();
+    throw new Error(suspensionMessage(profile));
+  }
+
   console.log("[auth.js login] Sesión iniciada correctamente:", data);
 
   user = {
@@ -157,6 +193,63 @@ export async function updateAuthUser(data) {
   }
 }
 
+/**
+ * Actualiza el perfil y, si viene photoFile, reemplaza la foto de perfil.
+ * Sube la foto nueva y graba el perfil; si falla la grabación, borra la foto
+ * recién subida. Con el perfil grabado, borra la foto anterior del bucket.
+ * A diferencia de updateAuthUser, relanza los errores.
+ *
+ * @param {Object} data - Campos del perfil a actualizar.
+ * @param {File|null} photoFile - Foto nueva (opcional).
+ */
+export async function updateAuthUserWithPhoto(data, photoFile = null) {
+  if (!user.id) throw new Error("No hay usuario autenticado.");
+
+  const payload = { ...data };
+  const previousPath =
+    user.photo_path ?? pathFromPublicUrl(user.photo_url, DEFAULT_BUCKET);
+
+  if (photoFile) {
+    const { path, publicUrl } = await uploadUserAvatar(photoFile, user.id);
+    payload.photo_path = path;
+    payload.photo_url = publicUrl;
+  }
+
+  try {
+    await updateUserProfile(user.id, payload);
+  } catch (error) {
+    console.error(
+      "[auth.js updateAuthUserWithPhoto] Error al actualizar usuario:",
+      error
+    );
+    if (photoFile) await removeAvatar(payload.photo_path);
+    throw error;
+  }
+
+  user = {
+    ...user,
+    ...payload,
+  };
+
+  notifyAll();
+
+  if (photoFile && previousPath && previousPath !== payload.photo_path) {
+    await removeAvatar(previousPath);
+  }
+}
+
+/**
+ * Borra una foto de perfil del bucket. Si falla solo se loguea: el archivo
+ * queda huérfano y lo encuentra findOrphanedFiles (ver storage-sweep.js).
+ */
+async function removeAvatar(path) {
+  try {
+    await deleteFile(path, DEFAULT_BUCKET);
+  } catch (error) {
+    console.error("[auth.js removeAvatar] Error al borrar la foto:", path, error);
+  }
+}
+
 /* Observers*/
 /**
  * Suscribe una función para escuchar cambios en el estado del usuario.
@@ -0,0 +1,182 @@
+// src/services/collections.js
+import { supabase } from './supabase.js'
+import { fetchPostsByIds } from './posts.js'
+
+// Colecciones de posts guardados.
+// Tabla post_collections: { id, user_id, name, created_at }
+// Tabla saved_posts: { id, collection_id, user_id, post_id, created_at }
+//  - único por (collection_id, post_id)
+//  - post_id no tiene FK con borrado en cascada: si el autor borra el post, el
+//    guardado queda y fetchCollectionPosts lo devuelve con post = null para que
+//    se pueda mostrar y quitar.
+// Las políticas de RLS dejan ver y modificar solo las filas del propio usuario.
+
+/** Largo máximo del nombre de una colección */
+export const COLLECTION_NAME_MAX_LENGTH = 60
+
+function validateCollectionName(name) {
+  const trimmed = (name ?? '').trim()
+  if (!trimmed) throw new Error('La colección necesita un nombre.')
+  if (trimmed.length > COLLECTION_NAME_MAX_LENGTH) {
+    throw new Error(`El nombre no puede tener más de ${COLLECTION_NAME_MAX_LENGTH} caracteres.`)
+  }
+  return trimmed
+}
+
+/**
+ * Traer las colecciones del usuario (la más nueva primero).
+ * Cada item: { id, user_id, name, created_at, postsCount }
+ */
+export async function fetchCollections(userId) {
+  const { data, error } = await supabase
+    .from('post_collections')
+    .select('*, saved_posts(count)')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+
+  if (error) {
+    console.error('[collections.js fetchCollections] Error:', error)
+    throw error
+  }
+
+  return (data ?? []).map(({ saved_posts, ...collection }) => ({
+    ...collection,
+    postsCount: saved_posts?.[0]?.count ?? 0
+  }))
+}
+
+/** Traer una colección por su id (o null si no existe o no es del usuario) */
+export async function fetchCollectionById(id) {
+  const { data, error } = await supabase
+    .from('post_collections')
+    .select()
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) {
+    console.error('[collections.js fetchCollectionById] Error:', error)
+    throw error
+  }
+
+  return data
+}
+
+/** Crear una colección. Retorna el registro creado. */
+export async function createCollection(userId, name) {
+  const { data, error } = await supabase
+    .from('post_collections')
+    .insert({ user_id: userId, name: validateCollectionName(name) })
+    .select()
+    .single()
+
+  if (error) {
+    console.error('[collections.js createCollection] Error:', error)
+    throw error
+  }
+
+  return { ...data, postsCount: 0 }
+}
+
+/** Cambiar el nombre de una colección */
+export async function renameCollection(id, name) {
+  const { error } = await supabase
+    .from('post_collections')
+    .update({ name: validateCollectionName(name) })
+    .eq('id', id)
+
+  if (error) {
+    console.error('[collections.js renameCollection] Error:', error)
+    throw error
+  }
+}
+
+/** Borrar una colección junto con sus posts guardados (los posts no se tocan) */
+export async function deleteCollection(id) {
+  const { error: savedError } = await supabase
+    .from('saved_posts')
+    .delete()
+    .eq('collection_id', id)
+
+  if (savedError) {
+    console.error('[collections.js deleteCollection] Error al quitar los guardados:', savedError)
+    throw savedError
+  }
+
+  const { error } = await supabase.from('post_collections').delete().eq('id', id)
+
+  if (error) {
+    console.error('[collections.js deleteCollection] Error:', error)
+    throw error
+  }
+}
+
+/** Ids de las colecciones del usuario en las que está guardado un post */
+export async function fetchPostCollectionIds(userId, postId) {
+  const { data, error } = await supabase
+    .from('saved_posts')
+    .select('collection_id')
+    .eq('user_id', userId)
+    .eq('post_id', postId)
+
+  if (error) {
+    console.error('[collections.js fetchPostCollectionIds] Error:', error)
+    throw error
+  }
+
+  return (data ?? []).map(row => row.collection_id)
+}
+
+/** Guardar un post en una colección (si ya estaba, no hace nada) */
+export async function savePostToCollection(userId, collectionId, postId) {
+  const { error } = await supabase
+    .from('saved_posts')
+    .upsert(
+      { user_id: userId, collection_id: collectionId, post_id: postId },
+      { onConflict: 'collection_id,post_id', ignoreDuplicates: true }
+    )
+
+  if (error) {
+    console.error('[collections.js savePostToCollection] Error:', error)
+    throw error
+  }
+}
+
+/** Quitar un post de una colección */
+export async function removePostFromCollection(collectionId, postId) {
+  const { error } = await supabase
+    .from('saved_posts')
+    .delete()
+    .eq('collection_id', collectionId)
+    .eq('post_id', postId)
+
+  if (error) {
+    console.error('[collections.js removePostFromCollection] Error:', error)
+    throw error
+  }
+}
+
+/**
+ * Traer los posts guardados en una colección (el último guardado primero).
+ * Cada item: { saved, post } donde saved es el registro de saved_posts y post
+ * es el post (o null si fue borrado).
+ */
+export async function fetchCollectionPosts(collectionId) {
+  const { data, error } = await supabase
+    .from('saved_posts')
+    .select()
+    .eq('collection_id', collectionId)
+    .order('created_at', { ascending: false })
+
+  if (error) {
+    console.error('[collections.js fetchCollectionPosts] Error:', error)
+    throw error
+  }
+
+  const saved = data ?? []
+  const posts = await fetchPostsByIds([...new Set(saved.map(row => row.post_id))])
+
+  return saved.map(row => ({
+    saved: row,
+    post: posts.find(post => String(post.id) === String(row.post_id)) ?? null
+  }))
+}
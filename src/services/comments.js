@@ -1,31 +1,249 @@
 // src/services/comments.js
 import { supabase } from "./supabase.js";
+import { notifyNewComment } from "./notifications.js";
+import { fetchMyBlockedUserIds } from "./moderation.js";
+
+// Nota: el orden "popular" usa la columna comments.reactions_count, que se
+// mantiene con un trigger sobre la tabla reactions (target_type = 'comment',
+// ver supabase/migrations).
+//
+// Las respuestas se traen de a páginas por comentario: la primera página de
+// varios comentarios juntos con la función fetch_comment_replies de la base
+// (ver supabase/migrations) y las siguientes con el cursor de cada uno.
+// Los comentarios raíz y las respuestas excluyen lo mismo: lo ocultado por
+// moderación (salvo includeHidden, para el equipo de moderación) y lo de
+// usuarios bloqueados (ver moderation.js).
+
+/** Cantidad de comentarios raíz por página */
+export const COMMENTS_PAGE_SIZE = 20;
+
+/** Modos de orden para los comentarios raíz */
+export const COMMENT_SORTS = [
+  { value: "newest", label: "Más nuevos" },
+  { value: "oldest", label: "Más viejos" },
+  { value: "popular", label: "Más reacciones" },
+];
+
+/** Cantidad de respuestas por página de cada comentario */
+export const REPLIES_PAGE_SIZE = 5;
+
+/** Profundidad máxima de respuestas que se traen junto con cada página */
+const MAX_REPLY_LEVELS = 10;
+
+/**
+ * Saca de la query los comentarios ocultados por moderación (salvo
+ * includeHidden) y los de usuarios bloqueados.
+ */
+function excludeHiddenComments(query, blockedIds, includeHidden) {
+  if (!includeHidden) query = query.is("hidden_at", null);
+  if (!blockedIds.length) return query;
+  return query.not("author_id", "in", `(${blockedIds.join(",")})`);
+}
+
+/**
+ * Separa las respuestas traídas (hasta limit + 1 por comentario) en las que
+ * se muestran y el cursor { created_at, id } de cada padre con más respuestas.
+ */
+function toRepliesPages(rows, limit) {
+  const byParent = new Map();
+  for (const row of rows) {
+    if (!byParent.has(row.parent_id)) byParent.set(row.parent_id, []);
+    byParent.get(row.parent_id).push(row);
+  }
+
+  const items = [];
+  const replyCursors = {};
+  for (const [parentId, replies] of byParent) {
+    const page = replies.slice(0, limit);
+    const last = page[page.length - 1];
+    items.push(...page);
+    if (replies.length > limit && last) replyCursors[parentId] = { created_at: last.created_at, id: last.id };
+  }
+
+  return { items, replyCursors };
+}
+
+/**
+ * Ordena la query según el modo y aplica el cursor (keyset pagination).
+ * El cursor es { created_at, id, reactions_count } del último comentario raíz.
+ */
+function applyCommentsOrder(query, sort, cursor) {
+  const ascending = sort === "oldest";
+  const op = ascending ? "gt" : "lt";
+
+  if (sort === "popular") {
+    query = query.order("reactions_count", { ascending: false });
+  }
+  query = query
+    .order("created_at", { ascending })
+    .order("id", { ascending });
+
+  if (!cursor) return query;
+
+  const byDate = `created_at.${op}."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.${op}.${cursor.id})`;
+
+  if (sort === "popular") {
+    const count = cursor.reactions_count ?? 0;
+    return query.or(
+      `reactions_count.lt.${count},and(reactions_count.eq.${count},or(${byDate}))`
+    );
+  }
+
+  return query.or(byDate);
+}
+
+/**
+ * Traer la primera página de respuestas de los comentarios dados y, de la
+ * misma forma, las de esas respuestas (hasta MAX_REPLY_LEVELS niveles).
+ * @param {Array<string|number>} parentIds
+ * @param {{includeHidden?: boolean, limit?: number}} [opts]
+ * @returns {Promise<{items: Array, replyCursors: Object}>} replyCursors trae,
+ * por id de comentario, el cursor para fetchMoreCommentReplies si tiene más
+ * respuestas.
+ */
+export async function fetchCommentReplies(parentIds, { includeHidden = false, limit = REPLIES_PAGE_SIZE } = {}) {
+  const items = [];
+  const replyCursors = {};
+  let pending = parentIds;
+
+  for (let level = 0; pending.length && level < MAX_REPLY_LEVELS; level++) {
+    const { data, error } = await supabase.rpc("fetch_comment_replies", {
+      p_parent_ids: pending,
+      p_limit: limit,
+      p_include_hidden: includeHidden,
+    });
+
+    if (error) {
+      console.error("fetchCommentReplies error:", error);
+      throw error;
+    }
+
+    const page = toRepliesPages(data ?? [], limit);
+    items.push(...page.items);
+    Object.assign(replyCursors, page.replyCursors);
+    pending = page.items.map((c) => c.id);
+  }
+
+  return { items, replyCursors };
+}
 
 /**
- * Obtener comentarios de un post
+ * Traer la página siguiente de respuestas de un comentario (con la primera
+ * página de las respuestas de cada una).
+ * @param {string|number} parentId
+ * @param {{created_at: string, id: string|number}} cursor el de replyCursors
+ * @param {{includeHidden?: boolean, limit?: number}} [opts]
+ * @returns {Promise<{items: Array, replyCursors: Object}>} replyCursors trae
+ * el cursor siguiente de parentId (null si no hay más) y los de sus respuestas.
+ */
+export async function fetchMoreCommentReplies(
+  parentId,
+  cursor,
+  { includeHidden = false, limit = REPLIES_PAGE_SIZE } = {}
+) {
+  let query = supabase
+    .from("comments")
+    .select("*")
+    .eq("parent_id", parentId)
+    .or(`created_at.gt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.gt.${cursor.id})`)
+    .order("created_at", { ascending: true })
+    .order("id", { ascending: true })
+    .limit(limit + 1);
+
+  query = excludeHiddenComments(query, await fetchMyBlockedUserIds(), includeHidden);
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error("fetchMoreCommentReplies error:", error);
+    throw error;
+  }
+
+  const page = toRepliesPages(data ?? [], limit);
+  const nested = await fetchCommentReplies(page.items.map((c) => c.id), { includeHidden, limit });
+
+  return {
+    items: [...page.items, ...nested.items],
+    replyCursors: { ...nested.replyCursors, [parentId]: page.replyCursors[parentId] ?? null },
+  };
+}
+
+/**
+ * Obtener una página de comentarios raíz de un post, junto con sus respuestas.
  * @param {string|number} postId
- * @returns {Promise<Array>} lista de comentarios (puede venir vacía)
+ * @param {{sort?: "newest"|"oldest"|"popular", cursor?: Object|null, limit?: number, includeHidden?: boolean}} [opts]
+ * @returns {Promise<{items: Array, nextCursor: Object|null, replyCursors: Object}>}
+ * items trae primero los comentarios raíz (en el orden pedido) y después la
+ * primera página de sus respuestas (ver fetchCommentReplies).
  */
-export async function fetchCommentsByPostId(postId) {
-  if (!postId) return [];
+export async function fetchCommentsByPostId(
+  postId,
+  { sort = "newest", cursor = null, limit = COMMENTS_PAGE_SIZE, includeHidden = false } = {}
+) {
+  if (!postId) return { items: [], nextCursor: null, replyCursors: {} };
 
-  const { data, error } = await supabase
+  let query = supabase
     .from("comments")
     .select("*")
     .eq("post_id", postId)
-    .order("created_at", { ascending: false });
+    .is("parent_id", null)
+    .limit(limit + 1);
+
+  query = applyCommentsOrder(query, sort, cursor);
+  query = excludeHiddenComments(query, await fetchMyBlockedUserIds(), includeHidden);
+
+  const { data, error } = await query;
 
   if (error) {
     console.error("fetchCommentsByPostId error:", error);
     throw error;
   }
 
-  return data ?? [];
+  const rows = data ?? [];
+  const roots = rows.length > limit ? rows.slice(0, limit) : rows;
+  const last = roots[roots.length - 1];
+  const replies = await fetchCommentReplies(roots.map((c) => c.id), { includeHidden });
+
+  return {
+    items: [...roots, ...replies.items],
+    nextCursor:
+      rows.length > limit && last
+        ? { created_at: last.created_at, id: last.id, reactions_count: last.reactions_count ?? 0 }
+        : null,
+    replyCursors: replies.replyCursors,
+  };
+}
+
+/**
+ * Contar los comentarios de un post (incluye respuestas). Excluye lo mismo que
+ * fetchCommentsByPostId: lo ocultado (salvo includeHidden) y lo de usuarios bloqueados.
+ * @param {string|number} postId
+ * @param {{includeHidden?: boolean}} [opts]
+ * @returns {Promise<number>}
+ */
+export async function countCommentsByPostId(postId, { includeHidden = false } = {}) {
+  if (!postId) return 0;
+
+  const query = supabase
+    .from("comments")
+    .select("id", { count: "exact", head: true })
+    .eq("post_id", postId);
+
+  const { count, error } = await excludeHiddenComments(query, await fetchMyBlockedUserIds(), includeHidden);
+
+  if (error) {
+    console.error("countCommentsByPostId error:", error);
+    throw error;
+  }
+
+  return count ?? 0;
 }
 
 /**
- * Insertar un comentario
- * @param {{post_id: string|number, content: string, author_id: string, author_email?: string}} payload
+ * Insertar un comentario. Para responder a otro comentario se envía parent_id.
+ * mentions son los usuarios mencionados ([{ id, name }], ver helpers/mentions.js).
+ * Notifica al autor del post, al del comentario respondido y a los mencionados.
+ * @param {{post_id: string|number, content: string, author_id: string, author_email?: string, parent_id?: string|number, mentions?: Array<{id: string, name: string}>}} payload
  * @returns {Promise<Object>} comentario insertado (objeto)
  */
 export async function insertComment(payload) {
@@ -43,7 +261,16 @@ export async function insertComment(payload) {
     throw error;
   } // Supabase devuelve un array al hacer .select() tras insert
 
-  return Array.isArray(data) ? data[0] : data;
+  const comment = Array.isArray(data) ? data[0] : data;
+
+  // Si falla la notificación el comentario igual queda publicado
+  try {
+    await notifyNewComment(comment);
+  } catch (err) {
+    console.error("insertComment notifyNewComment error:", err);
+  }
+
+  return comment;
 }
 
 /**
@@ -72,12 +299,12 @@ export async function updateComment(id, patch) {
 /**
  * Eliminar un comentario
  * @param {string|number} id
- * @returns {Promise<any>}
+ * @returns {Promise<Array>} filas borradas (vacío si no existe o RLS no dejó borrarlo)
  */
 export async function deleteComment(id) {
   if (!id) throw new Error("id es requerido para deleteComment");
 
-  const { data, error } = await supabase.from("comments").delete().eq("id", id);
+  const { data, error } = await supabase.from("comments").delete().eq("id", id).select();
 
   if (error) {
     console.error("deleteComment error:", error);
@@ -0,0 +1,415 @@
+import { supabase } from "./supabase";
+import { updateUserProfile } from "./user-profiles";
+
+// Cifrado de punta a punta de los mensajes privados, con WebCrypto.
+// - Cada usuario tiene un par de claves ECDH (P-256). La pública se publica en
+//   user_profiles.public_key (JWK en texto); la privada queda solo en el
+//   dispositivo (localStorage).
+// - La clave de cada conversación se deriva con ECDH (mi privada + la pública
+//   del otro): los dos participantes llegan a la misma clave AES-GCM sin
+//   mandarla nunca a la base.
+// - Un mensaje cifrado tiene private_chat_messages.encrypted = true y en
+//   content guarda "<iv en base64>:<texto cifrado en base64>". También guarda
+//   las claves públicas con las que se cifró (sender_public_key y
+//   recipient_public_key), así se descifra con esas y no con las publicadas:
+//   desactivar el cifrado o cambiar de clave no deja ilegibles los mensajes viejos.
+// - Al generar una clave nueva, la anterior queda guardada en el dispositivo
+//   (y en el respaldo) para seguir leyendo los mensajes cifrados con ella.
+// - Para usar la clave en otro dispositivo se guarda un respaldo cifrado con
+//   una frase que elige el usuario (PBKDF2 + AES-GCM) en user_key_backups
+//   ({ user_id, encrypted_key, salt, iv, updated_at }, solo visible para su dueño).
+// - La huella de una clave pública (getKeyFingerprint) sirve para que los dos
+//   comparen por otro medio que están usando las claves del otro.
+//
+// Si alguno de los dos no tiene claves, los mensajes se mandan sin cifrar.
+
+const KEY_ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+const PASSPHRASE_ITERATIONS = 310000;
+const LOCAL_KEY_PREFIX = 'e2ee:private-key:';
+const LOCAL_OLD_KEYS_PREFIX = 'e2ee:old-private-keys:';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+function toBase64(buffer) {
+    let binary = '';
+    new Uint8Array(buffer).forEach(byte => binary += String.fromCharCode(byte));
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+export function isEncryptionSupported() {
+    return !!globalThis.crypto?.subtle && typeof localStorage !== 'undefined';
+}
+
+/* ---------------------------- Claves locales ---------------------------- */
+
+function readLocalPrivateJwk(userId) {
+    const raw = localStorage.getItem(LOCAL_KEY_PREFIX + userId);
+    return raw ? JSON.parse(raw) : null;
+}
+
+// Claves que este usuario usó antes en el dispositivo.
+function readLocalOldPrivateJwks(userId) {
+    const raw = localStorage.getItem(LOCAL_OLD_KEYS_PREFIX + userId);
+    return raw ? JSON.parse(raw) : [];
+}
+
+function addLocalOldPrivateJwks(userId, jwks) {
+    const oldJwks = readLocalOldPrivateJwks(userId);
+    jwks.forEach(jwk => {
+        if(jwk && !oldJwks.some(oldJwk => isSameKey(oldJwk, jwk))) oldJwks.push(jwk);
+    });
+    localStorage.setItem(LOCAL_OLD_KEYS_PREFIX + userId, JSON.stringify(oldJwks));
+}
+
+function saveLocalPrivateJwk(userId, jwk) {
+    // La clave que se reemplaza se guarda para seguir leyendo los mensajes viejos.
+    const currentJwk = readLocalPrivateJwk(userId);
+    if(currentJwk && !isSameKey(currentJwk, jwk)) addLocalOldPrivateJwks(userId, [currentJwk]);
+
+    localStorage.setItem(LOCAL_KEY_PREFIX + userId, JSON.stringify(jwk));
+    // La clave cambió: las sesiones de cifrado ya no sirven.
+    sessionCache = {};
+}
+
+// Buscar entre las claves del dispositivo la privada de una clave pública.
+function findLocalPrivateJwk(userId, publicJwk) {
+    return [readLocalPrivateJwk(userId), ...readLocalOldPrivateJwks(userId)]
+        .find(jwk => isSameKey(jwk, publicJwk)) ?? null;
+}
+
+// La parte pública de una clave privada EC son sus coordenadas x e y.
+function toPublicJwk(jwk) {
+    return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+}
+
+function isSameKey(a, b) {
+    return !!a && !!b && a.x === b.x && a.y === b.y;
+}
+
+// Las claves públicas se guardan en la base como JWK en texto.
+export function encodePublicKey(jwk) {
+    return jwk ? JSON.stringify(toPublicJwk(jwk)) : null;
+}
+
+export function decodePublicKey(text) {
+    return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Huella de una clave pública: los primeros 16 bytes de su SHA-256, en
+ * hexadecimal y de a 4 caracteres (por ejemplo "1A2B 3C4D ...").
+ */
+export async function getKeyFingerprint(jwk) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${jwk.crv}:${jwk.x}:${jwk.y}`));
+    const hex = [...new Uint8Array(digest).slice(0, 16)]
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('')
+        .toUpperCase();
+
+    return hex.match(/.{4}/g).join(' ');
+}
+
+/* --------------------------- Claves públicas ---------------------------- */
+
+// Las claves públicas se vuelven a pedir cada tanto, por si el otro usuario
+// activó, desactivó o cambió su clave.
+const PUBLIC_KEY_CACHE_MS = 5 * 60 * 1000;
+
+// { [user_id]: { jwk: JWK | null, fetchedAt } }
+let publicKeyCache = {};
+
+/**
+ * Traer la clave pública publicada de un usuario (o null si no tiene).
+ */
+export async function fetchPublicKey(userId, forceRefresh = false) {
+    const cached = publicKeyCache[userId];
+    if(!forceRefresh && cached && Date.now() - cached.fetchedAt < PUBLIC_KEY_CACHE_MS) return cached.jwk;
+
+    const { data, error } = await supabase
+        .from('user_profiles')
+        .select('public_key')
+        .eq('id', userId);
+
+    if(error) {
+        console.error('[e2ee.js fetchPublicKey] Error al traer la clave pública: ', error);
+        throw new Error(error.message);
+    }
+
+    const jwk = decodePublicKey(data[0]?.public_key ?? null);
+
+    // Si la clave cambió, las sesiones de cifrado ya no sirven.
+    if(cached && !isSameKey(cached.jwk, jwk) && (cached.jwk || jwk)) sessionCache = {};
+    publicKeyCache[userId] = { jwk, fetchedAt: Date.now() };
+
+    return jwk;
+}
+
+async function publishPublicKey(userId, publicJwk) {
+    await updateUserProfile(userId, { public_key: encodePublicKey(publicJwk) });
+    publicKeyCache[userId] = { jwk: publicJwk, fetchedAt: Date.now() };
+    sessionCache = {};
+}
+
+/* ------------------------------- Estado ---------------------------------- */
+
+/**
+ * Estado del cifrado para el usuario en este dispositivo:
+ *  - 'unsupported': el navegador no tiene WebCrypto.
+ *  - 'disabled': no tiene claves publicadas.
+ *  - 'enabled': tiene su clave publicada y la privada en este dispositivo.
+ *  - 'needs_restore': tiene clave publicada pero no está en este dispositivo
+ *    (hay que restaurarla desde el respaldo o generar una nueva).
+ */
+export async function fetchEncryptionStatus(userId) {
+    if(!isEncryptionSupported()) return 'unsupported';
+
+    const publicJwk = await fetchPublicKey(userId, true);
+    if(!publicJwk) return 'disabled';
+
+    return isSameKey(readLocalPrivateJwk(userId), publicJwk) ? 'enabled' : 'needs_restore';
+}
+
+/**
+ * Activar el cifrado: usa la clave de este dispositivo si ya había una
+ * (o genera una nueva si regenerate es true o no hay ninguna) y publica la pública.
+ */
+export async function enableEncryption(userId, { regenerate = false } = {}) {
+    if(!isEncryptionSupported()) throw new Error('Este navegador no permite cifrar mensajes.');
+
+    let privateJwk = regenerate ? null : readLocalPrivateJwk(userId);
+
+    if(!privateJwk) {
+        // Exportable para poder hacer el respaldo.
+        const keyPair = await crypto.subtle.generateKey(KEY_ALGORITHM, true, ['deriveKey']);
+        privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+        saveLocalPrivateJwk(userId, privateJwk);
+    }
+
+    await publishPublicKey(userId, toPublicJwk(privateJwk));
+}
+
+/**
+ * Desactivar el cifrado: los mensajes nuevos se mandan sin cifrar.
+ * La clave privada queda en el dispositivo para poder leer los mensajes viejos
+ * (que guardan las claves públicas con las que se cifraron).
+ */
+export async function disableEncryption(userId) {
+    await publishPublicKey(userId, null);
+}
+
+/* ------------------------------ Respaldo --------------------------------- */
+
+async function derivePassphraseKey(passphrase, salt) {
+    const baseKey = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: PASSPHRASE_ITERATIONS, hash: 'SHA-256' },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+export async function hasEncryptionKeyBackup(userId) {
+    const { count, error } = await supabase
+        .from('user_key_backups')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('user_id', userId);
+
+    if(error) {
+        console.error('[e2ee.js hasEncryptionKeyBackup] Error al buscar el respaldo: ', error);
+        throw new Error(error.message);
+    }
+
+    return count > 0;
+}
+
+/**
+ * Guardar (o reemplazar) el respaldo de la clave privada, cifrada con la frase.
+ * El respaldo incluye las claves anteriores del dispositivo.
+ */
+export async function backupEncryptionKey(userId, passphrase) {
+    if(!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`La frase tiene que tener al menos ${MIN_PASSPHRASE_LENGTH} caracteres.`);
+    }
+
+    const privateJwk = readLocalPrivateJwk(userId);
+    if(!privateJwk) throw new Error('No hay una clave en este dispositivo para respaldar.');
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const wrappingKey = await derivePassphraseKey(passphrase, salt);
+    const encrypted = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        wrappingKey,
+        new TextEncoder().encode(JSON.stringify({ current: privateJwk, previous: readLocalOldPrivateJwks(userId) }))
+    );
+
+    const { error } = await supabase
+        .from('user_key_backups')
+        .upsert({
+            user_id: userId,
+            encrypted_key: toBase64(encrypted),
+            salt: toBase64(salt),
+            iv: toBase64(iv),
+            updated_at: new Date().toISOString(),
+        }, { onConflict: 'user_id' });
+
+    if(error) {
+        console.error('[e2ee.js backupEncryptionKey] Error al guardar el respaldo: ', error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Recuperar la clave privada desde el respaldo y guardarla en este dispositivo.
+ */
+export async function restoreEncryptionKey(userId, passphrase) {
+    const { data, error } = await supabase
+        .from('user_key_backups')
+        .select()
+        .eq('user_id', userId);
+
+    if(error) {
+        console.error('[e2ee.js restoreEncryptionKey] Error al traer el respaldo: ', error);
+        throw new Error(error.message);
+    }
+
+    const backup = data[0];
+    if(!backup) throw new Error('No hay un respaldo de tu clave.');
+
+    let restored;
+    try {
+        const wrappingKey = await derivePassphraseKey(passphrase, fromBase64(backup.salt));
+        const decrypted = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(backup.iv) },
+            wrappingKey,
+            fromBase64(backup.encrypted_key)
+        );
+        restored = JSON.parse(new TextDecoder().decode(decrypted));
+    } catch (error) {
+        throw new Error('La frase no es correcta.');
+    }
+
+    // Los respaldos viejos guardaban solo la clave actual.
+    if(!restored.current) restored = { current: restored, previous: [] };
+
+    addLocalOldPrivateJwks(userId, restored.previous);
+    saveLocalPrivateJwk(userId, restored.current);
+}
+
+/* --------------------------- Conversaciones ------------------------------ */
+
+async function deriveAesKey(privateJwk, otherPublicJwk) {
+    const [privateKey, otherPublicKey] = await Promise.all([
+        crypto.subtle.importKey('jwk', privateJwk, KEY_ALGORITHM, false, ['deriveKey']),
+        crypto.subtle.importKey('jwk', toPublicJwk(otherPublicJwk), KEY_ALGORITHM, false, []),
+    ]);
+
+    return crypto.subtle.deriveKey(
+        { name: 'ECDH', public: otherPublicKey },
+        privateKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// { "<mi id>:<id del otro>": Promise<{ key, publicKey, peerPublicKey } | null> }
+let sessionCache = {};
+
+async function createEncryptionSession(myUserId, otherUserId) {
+    const privateJwk = readLocalPrivateJwk(myUserId);
+    const [myPublicJwk, otherPublicJwk] = await Promise.all([
+        fetchPublicKey(myUserId),
+        fetchPublicKey(otherUserId),
+    ]);
+
+    // Solo ciframos si los dos publicaron su clave y la mía está en este dispositivo.
+    if(!otherPublicJwk || !isSameKey(privateJwk, myPublicJwk)) return null;
+
+    return {
+        key: await deriveAesKey(privateJwk, otherPublicJwk),
+        publicKey: myPublicJwk,
+        peerPublicKey: otherPublicJwk,
+    };
+}
+
+/**
+ * Sesión para cifrar los mensajes nuevos entre dos usuarios, con las claves
+ * publicadas: { key, publicKey, peerPublicKey } (la clave AES y las públicas
+ * que hay que guardar con el mensaje), o null si no se puede cifrar.
+ */
+export function getEncryptionSession(myUserId, otherUserId) {
+    if(!isEncryptionSupported() || !myUserId || !otherUserId) return Promise.resolve(null);
+
+    const cacheKey = myUserId + ':' + otherUserId;
+    if(!sessionCache[cacheKey]) {
+        sessionCache[cacheKey] = createEncryptionSession(myUserId, otherUserId)
+            .then(session => {
+                // Sin sesión no guardamos el resultado: el otro puede activar el cifrado después.
+                if(!session) delete sessionCache[cacheKey];
+                return session;
+            })
+            .catch(error => {
+                console.error('[e2ee.js getEncryptionSession] Error al derivar la clave: ', error);
+                delete sessionCache[cacheKey];
+                return null;
+            });
+    }
+
+    return sessionCache[cacheKey];
+}
+
+// Las claves para descifrar dependen solo de las dos claves públicas, así que
+// no hace falta invalidarlas. { "<mi id>:<x mía>:<x del otro>": Promise<CryptoKey | null> }
+let decryptionKeyCache = {};
+
+/**
+ * Clave AES para descifrar un mensaje cifrado con mi clave pública myPublicJwk
+ * y la del otro peerPublicJwk (las que quedaron guardadas en el mensaje).
+ * Retorna null si la privada de myPublicJwk no está en este dispositivo.
+ */
+export function getDecryptionKey(myUserId, myPublicJwk, peerPublicJwk) {
+    if(!isEncryptionSupported() || !myPublicJwk || !peerPublicJwk) return Promise.resolve(null);
+
+    const cacheKey = myUserId + ':' + myPublicJwk.x + ':' + peerPublicJwk.x;
+    if(!decryptionKeyCache[cacheKey]) {
+        const privateJwk = findLocalPrivateJwk(myUserId, myPublicJwk);
+        if(!privateJwk) return Promise.resolve(null);
+
+        decryptionKeyCache[cacheKey] = deriveAesKey(privateJwk, peerPublicJwk)
+            .catch(error => {
+                console.error('[e2ee.js getDecryptionKey] Error al derivar la clave: ', error);
+                delete decryptionKeyCache[cacheKey];
+                return null;
+            });
+    }
+
+    return decryptionKeyCache[cacheKey];
+}
+
+export async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+    return toBase64(iv) + ':' + toBase64(encrypted);
+}
+
+export async function decryptText(key, payload) {
+    const [iv, encrypted] = payload.split(':');
+    const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(encrypted));
+
+    return new TextDecoder().decode(decrypted);
+}
@@ -0,0 +1,160 @@
+import { supabase } from "./supabase";
+
+// Seguir usuarios.
+// Tabla user_follows: { follower_id, following_id, created_at } con PK compuesta
+// (follower_id, following_id); follower_id sigue a following_id.
+// Las políticas de RLS dejan leer a todos, y agregar o borrar solo las filas
+// con follower_id = auth.uid().
+
+/**
+ * Seguir a un usuario.
+ * @param {string} followerId quien sigue (el usuario autenticado)
+ * @param {string} followingId a quién sigue
+ */
+export async function followUser(followerId, followingId) {
+    if(!followerId || !followingId) throw new Error('followUser: followerId y followingId son requeridos');
+    if(followerId === followingId) throw new Error('No podés seguirte a vos mismo.');
+
+    const { error } = await supabase
+        .from('user_follows')
+        .upsert({ follower_id: followerId, following_id: followingId }, {
+            onConflict: 'follower_id,following_id',
+            ignoreDuplicates: true,
+        });
+
+    if(error) {
+        console.error('[follows.js followUser] Error al seguir al usuario:', followingId, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Dejar de seguir a un usuario.
+ * @param {string} followerId
+ * @param {string} followingId
+ */
+export async function unfollowUser(followerId, followingId) {
+    const { error } = await supabase
+        .from('user_follows')
+        .delete()
+        .eq('follower_id', followerId)
+        .eq('following_id', followingId);
+
+    if(error) {
+        console.error('[follows.js unfollowUser] Error al dejar de seguir al usuario:', followingId, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Saber si un usuario sigue a otro.
+ * @returns {Promise<boolean>}
+ */
+export async function isFollowing(followerId, followingId) {
+    const { count, error } = await supabase
+        .from('user_follows')
+        .select('follower_id', { count: 'exact', head: true })
+        .eq('follower_id', followerId)
+        .eq('following_id', followingId);
+
+    if(error) {
+        console.error('[follows.js isFollowing] Error al consultar el seguimiento:', followingId, error);
+        throw new Error(error.message);
+    }
+
+    return count > 0;
+}
+
+/**
+ * Cantidad de seguidores y de seguidos de un usuario.
+ * @param {string} userId
+ * @returns {Promise<{followers: number, following: number}>}
+ */
+export async function fetchFollowCounts(userId) {
+    const [followers, following] = await Promise.all([
+        supabase.from('user_follows').select('follower_id', { count: 'exact', head: true }).eq('following_id', userId),
+        supabase.from('user_follows').select('following_id', { count: 'exact', head: true }).eq('follower_id', userId),
+    ]);
+
+    const error = followers.error ?? following.error;
+    if(error) {
+        console.error('[follows.js fetchFollowCounts] Error al contar seguidores:', userId, error);
+        throw new Error(error.message);
+    }
+
+    return { followers: followers.count ?? 0, following: following.count ?? 0 };
+}
+
+/**
+ * Ids de los usuarios que sigue un usuario.
+ * @param {string} userId
+ * @returns {Promise<Array<string>>}
+ */
+export async function fetchFollowingIds(userId) {
+    const { data, error } = await supabase
+        .from('user_follows')
+        .select('following_id')
+        .eq('follower_id', userId);
+
+    if(error) {
+        console.error('[follows.js fetchFollowingIds] Error al traer los seguidos:', userId, error);
+        throw new Error(error.message);
+    }
+
+    return data.map(row => row.following_id);
+}
+
+// Trae los perfiles de una columna de user_follows, del seguimiento más nuevo al más viejo.
+async function fetchFollowProfiles(filterColumn, userId, profileColumn, limit) {
+    const { data, error } = await supabase
+        .from('user_follows')
+        .select(profileColumn)
+        .eq(filterColumn, userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if(error) throw error;
+
+    const ids = data.map(row => row[profileColumn]);
+    if(!ids.length) return [];
+
+    const { data: profiles, error: profilesError } = await supabase
+        .from('user_profiles')
+        .select('id, email, display_name, photo_url')
+        .in('id', ids);
+
+    if(profilesError) throw profilesError;
+
+    // Respetamos el orden de los seguimientos.
+    return ids.map(id => profiles.find(profile => profile.id === id)).filter(Boolean);
+}
+
+/**
+ * Perfiles de los seguidores de un usuario.
+ * @param {string} userId
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+export async function fetchFollowers(userId, limit = 100) {
+    try {
+        return await fetchFollowProfiles('following_id', userId, 'follower_id', limit);
+    } catch (error) {
+        console.error('[follows.js fetchFollowers] Error al traer los seguidores:', userId, error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Perfiles de los usuarios que sigue un usuario.
+ * @param {string} userId
+ * @param {number} limit
+ * @returns {Promise<Array>}
+ */
+export async function fetchFollowing(userId, limit = 100) {
+    try {
+        return await fetchFollowProfiles('follower_id', userId, 'following_id', limit);
+    } catch (error) {
+        console.error('[follows.js fetchFollowing] Error al traer los seguidos:', userId, error);
+        throw new Error(error.message);
+    }
+}
@@ -0,0 +1,220 @@
+import { supabase } from "./supabase";
+
+// Chats grupales.
+// Un grupo es un registro de private_chats con is_group = true, un nombre
+// (name) y quién lo creó (created_by); user_id1 y user_id2 quedan en null.
+// Los participantes se guardan en private_chat_members
+// ({ chat_id, user_id, added_by, created_at }, con PK compuesta chat_id + user_id).
+// Los mensajes, adjuntos, reacciones, lecturas y "escribiendo…" son los mismos
+// de los chats privados y se manejan por id de conversación (ver private-chat.js).
+// Las políticas de RLS dejan leer y escribir solo a los participantes del grupo,
+// y sacar participantes a cualquiera de ellos. Los participantes se agregan
+// con funciones de la base (ver supabase/migrations): create_group_chat graba
+// el grupo y sus participantes juntos, y add_group_chat_members agrega al resto;
+// las dos controlan el máximo de participantes y que no queden en el mismo
+// grupo dos usuarios con un bloqueo (ver moderation.js).
+
+// Los grupos son chicos (grupos de seguimiento de rutinas).
+export const GROUP_CHAT_MAX_MEMBERS = 20;
+
+function validateGroupName(name) {
+    const trimmed = (name ?? '').trim();
+    if(!trimmed) throw new Error('El grupo necesita un nombre.');
+    if(trimmed.length > 80) throw new Error('El nombre del grupo no puede tener más de 80 caracteres.');
+    return trimmed;
+}
+
+/**
+ * Crear un grupo con su creador y los participantes indicados.
+ * Retorna el registro del grupo.
+ */
+export async function createGroupChat(creatorId, name, memberIds = []) {
+    const groupName = validateGroupName(name);
+    const userIds = [...new Set([creatorId, ...memberIds])];
+
+    if(userIds.length > GROUP_CHAT_MAX_MEMBERS) {
+        throw new Error(`Un grupo puede tener hasta ${GROUP_CHAT_MAX_MEMBERS} participantes.`);
+    }
+
+    const { data: group, error } = await supabase.rpc('create_group_chat', {
+        p_creator_id: creatorId,
+        p_name: groupName,
+        p_member_ids: userIds,
+    });
+
+    if(error) {
+        console.error('[group-chat.js createGroupChat] Error al crear el grupo: ', error);
+        throw new Error(error.message);
+    }
+
+    return group;
+}
+
+/**
+ * Traer un grupo con sus participantes.
+ * Retorna { ...grupo, members: [perfiles] } o null si no existe o el usuario
+ * no participa (RLS).
+ */
+export async function fetchGroupChat(chatId) {
+    const { data, error } = await supabase
+        .from('private_chats')
+        .select()
+        .eq('id', chatId)
+        .eq('is_group', true);
+
+    if(error) {
+        console.error('[group-chat.js fetchGroupChat] Error al traer el grupo: ', error);
+        throw new Error(error.message);
+    }
+
+    if(!data.length) return null;
+
+    return {
+        ...data[0],
+        members: await fetchGroupChatMembers(chatId),
+    };
+}
+
+/**
+ * Traer los perfiles de los participantes de un grupo, en orden de llegada.
+ */
+export async function fetchGroupChatMembers(chatId) {
+    const { data: members, error } = await supabase
+        .from('private_chat_members')
+        .select()
+        .eq('chat_id', chatId)
+        .order('created_at', { ascending: true });
+
+    if(error) {
+        console.error('[group-chat.js fetchGroupChatMembers] Error al traer los participantes: ', error);
+        throw new Error(error.message);
+    }
+
+    if(!members.length) return [];
+
+    const { data: profiles, error: profilesError } = await supabase
+        .from('user_profiles')
+        .select()
+        .in('id', members.map(member => member.user_id));
+
+    if(profilesError) {
+        console.error('[group-chat.js fetchGroupChatMembers] Error al traer los perfiles: ', profilesError);
+        throw new Error(profilesError.message);
+    }
+
+    return members.map(member => profiles.find(profile => profile.id === member.user_id) ?? { id: member.user_id });
+}
+
+export async function renameGroupChat(chatId, name) {
+    const { error } = await supabase
+        .from('private_chats')
+        .update({ name: validateGroupName(name) })
+        .eq('id', chatId)
+        .eq('is_group', true);
+
+    if(error) {
+        console.error('[group-chat.js renameGroupChat] Error al renombrar el grupo: ', error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Agregar participantes a un grupo.
+ * Los agrega la función add_group_chat_members de la base (ver
+ * supabase/migrations), que controla que quien llama participe del grupo,
+ * que no se pase de GROUP_CHAT_MAX_MEMBERS y que los nuevos no tengan
+ * bloqueos con nadie del grupo.
+ */
+export async function addGroupChatMembers(chatId, userIds) {
+    if(!userIds.length) return;
+
+    const { error } = await supabase.rpc('add_group_chat_members', {
+        p_chat_id: chatId,
+        p_user_ids: userIds,
+    });
+
+    if(error) {
+        console.error('[group-chat.js addGroupChatMembers] Error al agregar participantes: ', error);
+        throw new Error(error.message);
+    }
+}
+
+export async function removeGroupChatMember(chatId, userId) {
+    const { error } = await supabase
+        .from('private_chat_members')
+        .delete()
+        .eq('chat_id', chatId)
+        .eq('user_id', userId);
+
+    if(error) {
+        console.error('[group-chat.js removeGroupChatMember] Error al sacar al participante: ', error);
+        throw new Error(error.message);
+    }
+}
+
+/**
+ * Salir de un grupo (el usuario se saca a sí mismo).
+ */
+export async function leaveGroupChat(chatId, userId) {
+    return removeGroupChatMember(chatId, userId);
+}
+
+// Cada suscripción usa su propio canal.
+let membersSubscriptionCount = 0;
+
+/**
+ * Escuchar los cambios de un grupo.
+ * callback recibe:
+ *  - { type: 'member_added', userId }
+ *  - { type: 'member_removed', userId }
+ *  - { type: 'renamed', name }
+ * Los DELETE de private_chat_members no se pueden filtrar, pero traen la PK
+ * completa (chat_id + user_id), así que descartamos los de otros grupos.
+ * Devuelve una función para cancelar la suscripción.
+ */
+export function subscribeToGroupChat(chatId, callback) {
+    const groupChannel = supabase.channel('group_chat:' + chatId + ':' + (++membersSubscriptionCount));
+
+    groupChannel.on(
+        'postgres_changes',
+        {
+            event: 'INSERT',
+            table: 'private_chat_members',
+            filter: 'chat_id=eq.' + chatId,
+        },
+        payload => {
+            callback({ type: 'member_added', userId: payload.new.user_id });
+        }
+    );
+
+    groupChannel.on(
+        'postgres_changes',
+        {
+            event: 'DELETE',
+            table: 'private_chat_members',
+        },
+        payload => {
+            if(String(payload.old.chat_id) === String(chatId)) {
+                callback({ type: 'member_removed', userId: payload.old.user_id });
+            }
+        }
+    );
+
+    groupChannel.on(
+        'postgres_changes',
+        {
+            event: 'UPDATE',
+            table: 'private_chats',
+            filter: 'id=eq.' + chatId,
+        },
+        payload => {
+            callback({ type: 'renamed', name: payload.new.name });
+        }
+    );
+
+    groupChannel.subscribe();
+
+    return () => {
+        groupChannel.unsubscribe();
+    }
+}
@@ -0,0 +1,226 @@
+import { supabase } from "./supabase";
+import { unfollowUser } from "./follows";
+
+// Moderación por parte de los miembros: reportes de contenido y bloqueos.
+//
+// Tabla content_reports:
+// { id, reporter_id, target_type, post_id, comment_id, reported_user_id, reason, details, status, created_at }
+//  - target_type: 'post' o 'comment' (comment_id solo en los de comentarios;
+//    post_id va en los dos para poder llegar al contenido).
+//  - status: 'pending' por defecto; el equipo de moderación lo pasa a
+//    'resolved' o 'dismissed' y completa reviewed_by y reviewed_at (ver admin.js).
+//  - único por (reporter_id, target_type, post_id, comment_id): se reporta una sola vez.
+// Las políticas de RLS dejan insertar con reporter_id = auth.uid() y leer solo
+// los reportes propios (el equipo de moderación lee y actualiza todos).
+//
+// Tabla user_blocks: { blocker_id, blocked_id, created_at } con PK compuesta
+// (blocker_id, blocked_id); blocker_id bloqueó a blocked_id.
+// Las políticas de RLS dejan leer, agregar y borrar solo con
+// blocker_id = auth.uid(): el bloqueado no ve quién lo bloqueó. La base
+// descarta las notificaciones para quien bloqueó al actor, y is_blocked_between
+// dice si hay un bloqueo sin mostrar cuál (ver supabase/migrations).
+// A quien bloquea se le ocultan los posts y comentarios del bloqueado, y
+// ninguno de los dos puede abrir un chat privado ni mandarle mensajes al otro
+// (ver private-chat.js), ni quedar en el mismo grupo. La base controla lo
+// mismo con políticas de RLS y en las funciones de los grupos.
+
+/** Motivos para reportar contenido */
+export const REPORT_REASONS = [
+    { value: 'spam', label: 'Spam o publicidad' },
+    { value: 'harassment', label: 'Acoso o insultos' },
+    { value: 'inappropriate', label: 'Contenido inapropiado' },
+    { value: 'misinformation', label: 'Información falsa o peligrosa' },
+    { value: 'other', label: 'Otro motivo' },
+];
+
+/** Largo máximo del detalle de un reporte */
+export const REPORT_DETAILS_MAX_LENGTH = 500;
+
+/**
+ * Reportar un post o un comentario.
+ * @param {string} reporterId usuario que reporta (el autenticado)
+ * @param {{targetType: 'post'|'comment', postId: string|number, commentId?: string|number, reportedUserId: string, reason: string, details?: string}} report
+ */
+export async function reportContent(reporterId, { targetType, postId, commentId = null, reportedUserId, reason, details = '' }) {
+    if(!reporterId) throw new Error('reportContent: reporterId es requerido');
+    if(!['post', 'comment'].includes(targetType)) throw new Error('reportContent: targetType inválido');
+    if(!postId || (targetType === 'comment' && !commentId)) throw new Error('reportContent: falta el contenido a reportar');
+    if(!REPORT_REASONS.some(r => r.value === reason)) throw new Error('Elegí un motivo para el reporte.');
+
+    const trimmedDetails = (details ?? '').trim();
+    if(trimmedDetails.length > REPORT_DETAILS_MAX_LENGTH) {
+        throw new Error(`El detalle no puede tener más de ${REPORT_DETAILS_MAX_LENGTH} caracteres.`);
+    }
+
+    const { error } = await supabase
+        .from('content_reports')
+        .insert({
+            reporter_id: reporterId,
+            target_type: targetType,
+            post_id: postId,
+            comment_id: targetType === 'comment' ? commentId : null,
+            reported_user_id: reportedUserId ?? null,
+            reason,
+            details: trimmedDetails || null,
+        });
+
+    if(error) {
+        // Violación del índice único: ya lo había reportado.
+        if(error.code === '23505') throw new Error('Ya reportaste este contenido.');
+
+        console.error('[moderation.js reportContent] Error al reportar el contenido:', targetType, postId, commentId, error);
+        throw new Error(error.message);
+    }
+}
+
+// ------------------------------------------------------------------
+// Bloqueos.
+// Guardamos en memoria los ids que bloqueó el usuario autenticado, porque se
+// consultan en cada listado de posts (ver posts.js). Se actualiza al bloquear
+// o desbloquear desde esta sesión.
+let blockedIdsCache = { userId: null, ids: null };
+
+async function getCurrentUserId() {
+    const { data } = await supabase.auth.getSession();
+    return data.session?.user?.id ?? null;
+}
+
+/**
+ * Ids de los usuarios que bloqueó un usuario.
+ * @param {string} userId
+ * @returns {Promise<Array<string>>}
+ */
+export async function fetchBlockedUserIds(userId) {
+    if(!userId) return [];
+    if(blockedIdsCache.userId === userId && blockedIdsCache.ids) return blockedIdsCache.ids;
+
+    const { data, error } = await supabase
+        .from('user_blocks')
+        .select('blocked_id')
+        .eq('blocker_id', userId);
+
+    if(error) {
+        console.error('[moderation.js fetchBlockedUserIds] Error al traer los bloqueados:', userId, error);
+        throw new Error(error.message);
+    }
+
+    const ids = data.map(row => row.blocked_id);
+    blockedIdsCache = { userId, ids };
+
+    return ids;
+}
+
+/**
+ * Ids de los usuarios que bloqueó el usuario autenticado ([] si no hay sesión).
+ * @returns {Promise<Array<string>>}
+ */
+export async function fetchMyBlockedUserIds() {
+    return fetchBlockedUserIds(await getCurrentUserId());
+}
+
+/**
+ * Bloquear a un usuario. También deja de seguirlo.
+ * @param {string} blockerId quien bloquea (el usuario autenticado)
+ * @param {string} blockedId a quién bloquea
+ */
+export async function blockUser(blockerId, blockedId) {
+    if(!blockerId || !blockedId) throw new Error('blockUser: blockerId y blockedId son requeridos');
+    if(blockerId === blockedId) throw new Error('No podés bloquearte a vos mismo.');
+
+    const { error } = await supabase
+        .from('user_blocks')
+        .upsert({ blocker_id: blockerId, blocked_id: blockedId }, {
+            onConflict: 'blocker_id,blocked_id',
+            ignoreDuplicates: true,
+        });
+
+    if(error) {
+        console.error('[moderation.js blockUser] Error al bloquear al usuario:', blockedId, error);
+        throw new Error(error.message);
+    }
+
+    if(blockedIdsCache.userId === blockerId && blockedIdsCache.ids && !blockedIdsCache.ids.includes(blockedId)) {
+        blockedIdsCache.ids = [...blockedIdsCache.ids, blockedId];
+    }
+
+    // Si falla, el bloqueo igual quedó hecho.
+    try {
+        await unfollowUser(blockerId, blockedId);
+    } catch (error) {
+        console.error('[moderation.js blockUser] Error al dejar de seguir al usuario:', blockedId, error);
+    }
+}
+
+/**
+ * Desbloquear a un usuario.
+ * @param {string} blockerId
+ * @param {string} blockedId
+ */
+export async function unblockUser(blockerId, blockedId) {
+    const { error } = await supabase
+        .from('user_blocks')
+        .delete()
+        .eq('blocker_id', blockerId)
+        .eq('blocked_id', blockedId);
+
+    if(error) {
+        console.error('[moderation.js unblockUser] Error al desbloquear al usuario:', blockedId, error);
+        throw new Error(error.message);
+    }
+
+    if(blockedIdsCache.userId === blockerId && blockedIdsCache.ids) {
+        blockedIdsCache.ids = blockedIdsCache.ids.filter(id => id !== blockedId);
+    }
+}
+
+/**
+ * Saber si hay un bloqueo entre dos usuarios, en cualquiera de los dos sentidos.
+ * userId tiene que ser el usuario autenticado (is_blocked_between usa auth.uid()).
+ * @returns {Promise<boolean>}
+ */
+export async function isBlockedBetween(userId, otherUserId) {
+    if(!userId || !otherUserId) return false;
+
+    const { data, error } = await supabase.rpc('is_blocked_between', { p_other_user_id: otherUserId });
+
+    if(error) {
+        console.error('[moderation.js isBlockedBetween] Error al consultar el bloqueo:', otherUserId, error);
+        throw new Error(error.message);
+    }
+
+    return !!data;
+}
+
+/**
+ * Perfiles de los usuarios que bloqueó un usuario (el bloqueo más nuevo primero).
+ * @param {string} userId
+ * @returns {Promise<Array>}
+ */
+export async function fetchBlockedUsers(userId) {
+    const { data, error } = await supabase
+        .from('user_blocks')
+        .select('blocked_id')
+        .eq('blocker_id', userId)
+        .order('created_at', { ascending: false });
+
+    if(error) {
+        console.error('[moderation.js fetchBlockedUsers] Error al traer los bloqueados:', userId, error);
+        throw new Error(error.message);
+    }
+
+    const ids = data.map(row => row.blocked_id);
+    if(!ids.length) return [];
+
+    const { data: profiles, error: profilesError } = await supabase
+        .from('user_profiles')
+        .select('id, email, display_name, photo_url')
+        .in('id', ids);
+
+    if(profilesError) {
+        console.error('[moderation.js fetchBlockedUsers] Error al traer los perfiles:', userId, profilesError);
+        throw new Error(profilesError.message);
+    }
+
+    // Si un perfil no se encontró, igual se lista para poder desbloquearlo.
+    return ids.map(id => profiles.find(profile => profile.id === id) ?? { id });
+}
@@ -0,0 +1,304 @@
+// src/services/notifications.js
+import { supabase } from './supabase.js'
+import { fetchMyBlockedUserIds } from './moderation.js'
+
+// Tabla notifications: { id, user_id, actor_id, type, post_id, comment_id, chat_id, message_id, read_at, created_at }
+//  - user_id es quien recibe la notificación y actor_id quien la generó.
+//  - type: 'comment' (comentaron tu post), 'reply' (respondieron tu comentario),
+//    'mention' (te mencionaron) o 'message' (mensaje privado nuevo).
+//  - read_at queda en null hasta que se marca como leída.
+// Las notificaciones las crea el cliente de quien hace la acción: las políticas
+// de RLS dejan insertar solo con actor_id = auth.uid(), y leer, marcar y borrar
+// solo al destinatario.
+// No se notifica a quien bloqueó al actor (lo descarta un trigger de la base,
+// ver supabase/migrations), y no se listan las de actores que el usuario
+// bloqueó (ver moderation.js).
+
+/** Cantidad de notificaciones por página */
+export const NOTIFICATIONS_PAGE_SIZE = 20
+
+/** Tipos de notificación */
+export const NOTIFICATION_TYPES = ['comment', 'reply', 'mention', 'message']
+
+/**
+ * Crear notificaciones. Cada item: { user_id, actor_id, type, post_id?, comment_id?, chat_id?, message_id? }
+ * Descarta las que el actor se mandaría a sí mismo y deja una sola por
+ * destinatario (la primera de la lista). Las que van a quien bloqueó al actor
+ * las descarta la base al insertarlas.
+ */
+export async function createNotifications(items = []) {
+  const seen = new Set()
+  const rows = items.filter(item => {
+    if (!item.user_id || !item.actor_id || item.user_id === item.actor_id) return false
+    if (!NOTIFICATION_TYPES.includes(item.type)) return false
+
+    if (seen.has(item.user_id)) return false
+    seen.add(item.user_id)
+    return true
+  })
+  if (!rows.length) return
+
+  const { error } = await supabase.from('notifications').insert(rows)
+
+  if (error) {
+    console.error('[notifications.js createNotifications] Error:', error)
+    throw error
+  }
+}
+
+/**
+ * Notificar un comentario nuevo: al autor del comentario respondido ('reply'),
+ * a los mencionados ('mention', ver helpers/mentions.js) y al autor del post
+ * ('comment'). A cada uno le llega una sola, en ese orden de prioridad.
+ */
+export async function notifyNewComment(comment) {
+  if (!comment?.id || !comment.author_id) return
+
+  const [{ data: post, error }, { data: parent, error: parentError }] = await Promise.all([
+    supabase.from('posts').select('sender_id').eq('id', comment.post_id).maybeSingle(),
+    comment.parent_id
+      ? supabase.from('comments').select('author_id').eq('id', comment.parent_id).maybeSingle()
+      : { data: null, error: null }
+  ])
+
+  if (error || parentError) {
+    console.error('[notifications.js notifyNewComment] Error:', error ?? parentError)
+    throw error ?? parentError
+  }
+
+  const base = { actor_id: comment.author_id, post_id: comment.post_id, comment_id: comment.id }
+  const items = []
+  if (parent?.author_id) items.push({ ...base, user_id: parent.author_id, type: 'reply' })
+  for (const mention of comment.mentions ?? []) items.push({ ...base, user_id: mention.id, type: 'mention' })
+  if (post?.sender_id) items.push({ ...base, user_id: post.sender_id, type: 'comment' })
+
+  await createNotifications(items)
+}
+
+/** Notificar a los usuarios mencionados en un post nuevo */
+export async function notifyPostMentions(post) {
+  await createNotifications((post?.mentions ?? []).map(mention => ({
+    user_id: mention.id,
+    actor_id: post.sender_id,
+    type: 'mention',
+    post_id: post.id
+  })))
+}
+
+/** Notificar un mensaje privado nuevo a los demás participantes del chat */
+export async function notifyNewChatMessage(message, recipientIds = []) {
+  await createNotifications(recipientIds.map(userId => ({
+    user_id: userId,
+    actor_id: message.sender_id,
+    type: 'message',
+    chat_id: message.chat_id,
+    message_id: message.id
+  })))
+}
+
+/**
+ * Traer una página de notificaciones del usuario (más recientes primero).
+ * opts: { cursor, limit } donde cursor es { created_at, id } de la última traída.
+ * Cada item trae además:
+ *  - actor: perfil de quien la generó (o { id } si no se encontró).
+ *  - chat: { id, is_group, name } en las de tipo 'message'.
+ * Retorna: { items, nextCursor }
+ */
+export async function fetchNotifications(userId, { cursor = null, limit = NOTIFICATIONS_PAGE_SIZE } = {}) {
+  let query = supabase
+    .from('notifications')
+    .select()
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1)
+
+  if (cursor) {
+    query = query.or(
+      `created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.lt.${cursor.id})`
+    )
+  }
+  query = excludeBlockedActors(query, await fetchMyBlockedUserIds())
+
+  const { data, error } = await query
+
+  if (error) {
+    console.error('[notifications.js fetchNotifications] Error:', error)
+    throw error
+  }
+
+  const rows = data ?? []
+  const hasMore = rows.length > limit
+  const items = await withNotificationDetails(hasMore ? rows.slice(0, limit) : rows)
+  const last = items[items.length - 1]
+
+  return {
+    items,
+    nextCursor: hasMore && last ? { created_at: last.created_at, id: last.id } : null
+  }
+}
+
+/** Saca de la query las notificaciones de actores bloqueados */
+function excludeBlockedActors(query, blockedIds) {
+  if (!blockedIds.length) return query
+  return query.not('actor_id', 'in', `(${blockedIds.join(',')})`)
+}
+
+/** Completar notificaciones con el perfil del actor y, en los mensajes, el chat */
+export async function withNotificationDetails(rows = []) {
+  if (!rows.length) return []
+
+  const actorIds = [...new Set(rows.map(row => row.actor_id))]
+  const chatIds = [...new Set(rows.filter(row => row.chat_id).map(row => row.chat_id))]
+
+  const [{ data: profiles, error }, { data: chats, error: chatsError }] = await Promise.all([
+    supabase.from('user_profiles').select('id, email, display_name, photo_url').in('id', actorIds),
+    chatIds.length
+      ? supabase.from('private_chats').select('id, is_group, name').in('id', chatIds)
+      : { data: [], error: null }
+  ])
+
+  if (error || chatsError) {
+    console.error('[notifications.js withNotificationDetails] Error:', error ?? chatsError)
+    throw error ?? chatsError
+  }
+
+  return rows.map(row => ({
+    ...row,
+    actor: profiles.find(profile => profile.id === row.actor_id) ?? { id: row.actor_id },
+    chat: row.chat_id ? (chats.find(chat => chat.id === row.chat_id) ?? { id: row.chat_id }) : null
+  }))
+}
+
+/** Contar las notificaciones sin leer del usuario */
+export async function countUnreadNotifications(userId) {
+  const query = supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('read_at', null)
+
+  const { count, error } = await excludeBlockedActors(query, await fetchMyBlockedUserIds())
+
+  if (error) {
+    console.error('[notifications.js countUnreadNotifications] Error:', error)
+    throw error
+  }
+
+  return count ?? 0
+}
+
+/** Marcar una notificación como leída */
+export async function markNotificationAsRead(id) {
+  const { error } = await supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('read_at', null)
+
+  if (error) {
+    console.error('[notifications.js markNotificationAsRead] Error:', error)
+    throw error
+  }
+}
+
+/** Marcar todas las notificaciones del usuario como leídas */
+export async function markAllNotificationsAsRead(userId) {
+  const { error } = await supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null)
+
+  if (error) {
+    console.error('[notifications.js markAllNotificationsAsRead] Error:', error)
+    throw error
+  }
+}
+
+/** Marcar como leídas las notificaciones de mensajes de un chat (al abrirlo) */
+export async function markChatNotificationsAsRead(userId, chatId) {
+  const { error } = await supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('type', 'message')
+    .eq('chat_id', chatId)
+    .is('read_at', null)
+
+  if (error) {
+    console.error('[notifications.js markChatNotificationsAsRead] Error:', error)
+    throw error
+  }
+}
+
+/** Texto de la notificación (sin el nombre del actor) */
+export function notificationText(notification) {
+  switch (notification.type) {
+    case 'comment':
+      return 'comentó tu publicación'
+    case 'reply':
+      return 'respondió tu comentario'
+    case 'mention':
+      return notification.comment_id ? 'te mencionó en un comentario' : 'te mencionó en una publicación'
+    case 'message':
+      return notification.chat?.is_group
+        ? `escribió en el grupo ${notification.chat.name ?? ''}`.trim()
+        : 'te envió un mensaje'
+    default:
+      return ''
+  }
+}
+
+/** Ruta a la que lleva la notificación */
+export function notificationLink(notification) {
+  if (notification.type === 'message') {
+    return notification.chat?.is_group
+      ? `/grupos/${notification.chat_id}`
+      : `/usuario/${notification.actor_id}/chat`
+  }
+
+  return notification.post_id ? `/post/${notification.post_id}` : '/'
+}
+
+// Cada suscripción usa su propio canal (el menú puede montarse más de una vez)
+let notificationsSubscriptionCount = 0
+
+/**
+ * Suscribirse a las notificaciones del usuario.
+ * callback recibe { type: 'INSERT'|'UPDATE'|'DELETE', newRow, oldRow }; los
+ * UPDATE llegan al marcarlas como leídas (también desde otra pestaña).
+ * Los DELETE no se pueden filtrar: oldRow solo trae el id.
+ * Devuelve unsubscribe()
+ */
+export function subscribeToNotifications(userId, callback) {
+  if (!userId || typeof callback !== 'function') return () => {}
+
+  const filter = `user_id=eq.${userId}`
+  const handle = (payload) => {
+    try {
+      callback({
+        type: payload.eventType,
+        newRow: payload.new ?? null,
+        oldRow: payload.old ?? null
+      })
+    } catch (err) {
+      console.error('[notifications.js subscribeToNotifications] callback error:', err)
+    }
+  }
+
+  const channel = supabase
+    .channel(`public:notifications:${filter}:${++notificationsSubscriptionCount}`)
+    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'notifications', filter }, handle)
+    .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'notifications', filter }, handle)
+    .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'notifications' }, handle)
+    .subscribe()
+
+  return () => {
+    try {
+      channel.unsubscribe()
+    } catch (err) {
+      console.error('[notifications.js subscribeToNotifications] unsubscribe error:', err)
+    }
+  }
+}
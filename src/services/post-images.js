@@ -0,0 +1,236 @@
+// src/services/post-images.js
+import { supabase } from './supabase.js'
+import { deleteFile, getFileURL, pathFromPublicUrl, uploadFile, POSTS_BUCKET } from './storage.js'
+import { POST_IMAGE_MAX_SIZE, THUMBNAIL_MAX_SIZE, processImage } from '../helpers/image.js'
+
+// Galería de imágenes de los posts.
+//
+// Tabla post_images:
+// { id, post_id, position, path, thumb_path, caption, alt_text, created_at }
+//  - post_id: FK a posts con on delete cascade.
+//  - position: orden en la galería (0, 1, 2...).
+//  - path / thumb_path: archivos en POSTS_BUCKET, en "<sender_id>/<timestamp>_img<n>_<nombre>"
+//    (thumb_path es la miniatura para los listados; null si no hay).
+// Las políticas de RLS dejan leer las imágenes de los posts que se pueden ver,
+// y agregar, cambiar o borrar solo al autor del post.
+//
+// Los posts de antes de la galería tienen hasta dos imágenes en las columnas
+// image_url_n / image_path_n / thumb_path_n de posts. getPostImages las devuelve
+// con la misma forma que las de post_images; al editar las imágenes de uno de
+// esos posts, pasan a post_images y las columnas quedan en null.
+// Antes de subirlas, las imágenes se achican, pierden la metadata y pasan a
+// WebP (ver helpers/image.js).
+
+/** Máximo de imágenes por post */
+export const MAX_POST_IMAGES = 10
+
+/** Largo máximo del epígrafe de una imagen */
+export const POST_IMAGE_CAPTION_MAX_LENGTH = 200
+
+/** Largo máximo del texto alternativo de una imagen */
+export const POST_IMAGE_ALT_MAX_LENGTH = 200
+
+/** Galería embebida en un select de posts */
+export const POST_IMAGES_SELECT = 'post_images(id, position, path, thumb_path, caption, alt_text)'
+
+/** Columnas de posts con las imágenes de antes de la galería */
+export const LEGACY_IMAGE_COLUMNS = ['image_url_1', 'image_path_1', 'thumb_path_1', 'image_url_2', 'image_path_2', 'thumb_path_2']
+
+/**
+ * Imágenes de un post para mostrar, en orden:
+ * [{ id, path, thumbPath, url, thumbUrl, caption, alt }]
+ * Los posts anteriores a la galería devuelven las de las columnas de posts (con id null).
+ */
+export function getPostImages(post) {
+  if (post?.post_images?.length) {
+    return [...post.post_images]
+      .sort((a, b) => a.position - b.position || a.id - b.id)
+      .map(image => ({
+        id: image.id,
+        path: image.path,
+        thumbPath: image.thumb_path ?? null,
+        url: getFileURL(image.path, POSTS_BUCKET),
+        thumbUrl: getFileURL(image.thumb_path || image.path, POSTS_BUCKET),
+        caption: image.caption ?? '',
+        alt: image.alt_text ?? ''
+      }))
+  }
+
+  const images = []
+  for (const index of [1, 2]) {
+    const storedPath = post?.[`image_path_${index}`] ?? null
+    const thumbPath = post?.[`thumb_path_${index}`] ?? null
+    const url = post?.[`image_url_${index}`] || (storedPath ? getFileURL(storedPath, POSTS_BUCKET) : null)
+    if (!url) continue
+
+    // Algunos posts viejos solo tienen la URL
+    const path = storedPath ?? pathFromPublicUrl(url, POSTS_BUCKET)
+
+    images.push({
+      id: null,
+      path,
+      thumbPath,
+      url,
+      thumbUrl: thumbPath ? getFileURL(thumbPath, POSTS_BUCKET) : url,
+      caption: '',
+      alt: ''
+    })
+  }
+  return images
+}
+
+/** Saber si el post tiene imágenes en las columnas de antes de la galería */
+export function hasLegacyImages(post) {
+  return LEGACY_IMAGE_COLUMNS.some(column => post?.[column])
+}
+
+/**
+ * Verificar una galería antes de grabarla. Lanza un Error si no es válida.
+ * gallery: [{ file?, path?, caption, alt }]
+ */
+export function validateGallery(gallery = []) {
+  if (gallery.length > MAX_POST_IMAGES) {
+    throw new Error(`Un post puede tener hasta ${MAX_POST_IMAGES} imágenes.`)
+  }
+  for (const image of gallery) {
+    if (!image.file && !image.path) throw new Error('validateGallery: imagen sin archivo')
+    if ((image.caption ?? '').trim().length > POST_IMAGE_CAPTION_MAX_LENGTH) {
+      throw new Error(`El epígrafe no puede tener más de ${POST_IMAGE_CAPTION_MAX_LENGTH} caracteres.`)
+    }
+    if ((image.alt ?? '').trim().length > POST_IMAGE_ALT_MAX_LENGTH) {
+      throw new Error(`El texto alternativo no puede tener más de ${POST_IMAGE_ALT_MAX_LENGTH} caracteres.`)
+    }
+  }
+}
+
+/**
+ * Borra imágenes del bucket de posts. Si falla solo se loguea: el archivo
+ * queda huérfano y lo encuentra findOrphanedFiles (ver storage-sweep.js).
+ */
+export async function removePostImageFiles(paths = []) {
+  const list = paths.filter(path => path && !/^https?:\/\//i.test(path))
+  if (!list.length) return
+
+  try {
+    await deleteFile(list, POSTS_BUCKET)
+  } catch (error) {
+    console.error('[post-images.js removePostImageFiles] Error al borrar imágenes:', list, error)
+  }
+}
+
+/** Paths en el bucket (imagen y miniatura) de una lista de imágenes */
+export function imageFilePaths(images = []) {
+  return images.flatMap(image => [image.path, image.thumbPath])
+}
+
+/**
+ * Sube los archivos de las imágenes nuevas de la galería (las que traen file).
+ * Retorna { gallery, uploadedPaths }: la galería con path y thumbPath en todas
+ * y los paths que se subieron. Si falla una subida, borra las que ya se
+ * habían subido y relanza el error.
+ */
+export async function uploadGalleryFiles(senderId, gallery = []) {
+  const uploaded = []
+  const result = []
+
+  try {
+    for (const [index, image] of gallery.entries()) {
+      if (!image.file) {
+        result.push(image)
+        continue
+      }
+
+      const { image: file, thumbnail } = await processImage(image.file, {
+        maxSize: POST_IMAGE_MAX_SIZE,
+        thumbnailSize: THUMBNAIL_MAX_SIZE
+      })
+
+      const safeName = (file.name || `img${index + 1}`).replace(/\s+/g, '_')
+      const { path } = await uploadFile(`${senderId}/${Date.now()}_img${index + 1}_${safeName}`, file, POSTS_BUCKET)
+      uploaded.push(path)
+
+      let thumbPath = null
+      if (thumbnail) {
+        const thumbName = (thumbnail.name || `img${index + 1}_thumb`).replace(/\s+/g, '_')
+        thumbPath = (await uploadFile(`${senderId}/${Date.now()}_img${index + 1}_${thumbName}`, thumbnail, POSTS_BUCKET)).path
+        uploaded.push(thumbPath)
+      }
+
+      result.push({ ...image, file: null, path, thumbPath })
+    }
+  } catch (error) {
+    console.error('[post-images.js uploadGalleryFiles] Error:', error)
+    await removePostImageFiles(uploaded)
+    throw error
+  }
+
+  return { gallery: result, uploadedPaths: uploaded }
+}
+
+/**
+ * Grabar la galería de un post (con los archivos ya subidos): inserta las
+ * filas en el orden de gallery y después borra las filas anteriores
+ * (previousIds). Si falla el borrado, saca las filas recién insertadas para
+ * dejar la galería como estaba.
+ * Retorna las filas insertadas.
+ */
+export async function replacePostImages(postId, gallery = [], previousIds = []) {
+  let inserted = []
+
+  if (gallery.length) {
+    const { data, error } = await supabase
+      .from('post_images')
+      .insert(gallery.map((image, position) => ({
+        post_id: postId,
+        position,
+        path: image.path,
+        thumb_path: image.thumbPath ?? null,
+        caption: (image.caption ?? '').trim() || null,
+        alt_text: (image.alt ?? '').trim() || null
+      })))
+      .select()
+
+    if (error) {
+      console.error('[post-images.js replacePostImages] Error al insertar las imágenes:', postId, error)
+      throw error
+    }
+    inserted = data ?? []
+  }
+
+  const ids = previousIds.filter(id => id != null)
+  if (ids.length) {
+    const { error } = await supabase
+      .from('post_images')
+      .delete()
+      .in('id', ids)
+
+    if (error) {
+      console.error('[post-images.js replacePostImages] Error al borrar las imágenes anteriores:', postId, error)
+      if (inserted.length) {
+        const { error: rollbackError } = await supabase
+          .from('post_images')
+          .delete()
+          .in('id', inserted.map(row => row.id))
+        if (rollbackError) console.error('[post-images.js replacePostImages] Error al deshacer:', rollbackError)
+      }
+      throw error
+    }
+  }
+
+  return inserted
+}
+
+/** Paths en el bucket de todas las imágenes de la galería de un post */
+export async function fetchPostImagePaths(postId) {
+  const { data, error } = await supabase
+    .from('post_images')
+    .select('path, thumb_path')
+    .eq('post_id', postId)
+
+  if (error) {
+    console.error('[post-images.js fetchPostImagePaths] Error:', postId, error)
+    throw error
+  }
+
+  return (data ?? []).flatMap(image => [image.path, image.thumb_path])
+}
@@ -1,15 +1,95 @@
 // src/services/posts.js
 import { supabase } from './supabase.js'
+import { setPostTags } from './tags.js'
+import {
+  LEGACY_IMAGE_COLUMNS,
+  POST_IMAGES_SELECT,
+  fetchPostImagePaths,
+  getPostImages,
+  hasLegacyImages,
+  imageFilePaths,
+  removePostImageFiles,
+  replacePostImages,
+  uploadGalleryFiles,
+  validateGallery
+} from './post-images.js'
+import { getSearchTerms, highlightText } from '../helpers/search.js'
+import { notifyPostMentions } from './notifications.js'
+import { fetchFollowingIds } from './follows.js'
+import { fetchMyBlockedUserIds } from './moderation.js'
+
+/** Cantidad de posts por página por defecto */
+export const POSTS_PAGE_SIZE = 10
+
+/** Columnas de posts con sus tags (relación muchos a muchos vía post_tags) y su galería */
+const POST_SELECT = `*, tags(id, name, slug), ${POST_IMAGES_SELECT}`
+
+/** Máximo de resultados que devuelve una búsqueda (la función search_posts acepta hasta 100) */
+export const SEARCH_RESULTS_LIMIT = 50
+
+/**
+ * Aplica el cursor (created_at + id) a una query ordenada por
+ * created_at desc, id desc. El id desempata posts creados en el mismo instante.
+ */
+function applyPostsCursor(query, cursor) {
+  if (!cursor?.created_at || cursor.id == null) return query
+  return query.or(
+    `created_at.lt."${cursor.created_at}",and(created_at.eq."${cursor.created_at}",id.lt.${cursor.id})`
+  )
+}
+
+/**
+ * Saca de la query los posts ocultados por moderación (hidden_at, ver
+ * admin.js) y los de usuarios bloqueados (los ids que devuelve
+ * fetchMyBlockedUserIds, ver moderation.js).
+ */
+function excludeHiddenPosts(query, blockedIds) {
+  query = query.is('hidden_at', null)
+  if (!blockedIds.length) return query
+  return query.not('sender_id', 'in', `(${blockedIds.join(',')})`)
+}
+
+/**
+ * Arma la página a partir de las filas traídas (se pide limit + 1 para saber
+ * si hay más) y devuelve { items, nextCursor }.
+ */
+function toPostsPage(rows, limit) {
+  const hasMore = rows.length > limit
+  const items = (hasMore ? rows.slice(0, limit) : rows).map(resolvePostImages)
+  const last = items[items.length - 1]
+
+  return {
+    items,
+    nextCursor: hasMore && last ? { created_at: last.created_at, id: last.id } : null
+  }
+}
+
+/**
+ * Agrega images al post: su galería en orden (ver getPostImages en
+ * post-images.js), también para los posts de antes de la galería.
+ */
+function resolvePostImages(post) {
+  return { ...post, images: getPostImages(post) }
+}
 
 /**
- * Crear un nuevo post.
- * payload puede incluir: { sender_id, user_email, theme, content, image_url, image_path }
+ * Crear un nuevo post con sus tags e imágenes.
+ * payload puede incluir: { sender_id, user_email, content, mentions, theme }
+ * opts: { tags, images } donde tags son nombres (ver services/tags.js) e
+ * images es la galería en orden: [{ file, caption, alt }] (ver post-images.js).
+ * Es todo o nada: sube las imágenes, graba el post, su galería y sus tags; si
+ * algo falla, borra lo que se llegó a crear y relanza el error.
+ * mentions son los usuarios mencionados ([{ id, name }], ver helpers/mentions.js);
+ * se les manda una notificación cuando el post quedó creado.
  */
-export async function createPost(payload) {
+export async function createPost(payload, { tags = [], images = [] } = {}) {
   if (!payload || !payload.sender_id) {
     throw new Error('createPost: payload inválido. sender_id es requerido.')
   }
 
+  validateGallery(images)
+  const { gallery, uploadedPaths } = await uploadGalleryFiles(payload.sender_id, images)
+
   const { data, error } = await supabase
     .from('posts')
     .insert(payload)
@@ -18,35 +98,212 @@ export async function createPost(payload) {
 
   if (error) {
     console.error('[posts.js createPost] Error:', error)
+    await removePostImageFiles(uploadedPaths)
     throw error
   }
 
+  try {
+    if (gallery.length) await replacePostImages(data.id, gallery)
+    if (tags.length) await setPostTags(data.id, tags)
+  } catch (err) {
+    console.error('[posts.js createPost] Error al grabar imágenes o tags, se deshace el post:', err)
+    try {
+      await deletePost(data.id)
+    } catch (rollbackError) {
+      console.error('[posts.js createPost] Error al deshacer el post:', rollbackError)
+    }
+    await removePostImageFiles(uploadedPaths)
+    throw err
+  }
+
+  // Si falla la notificación el post igual queda creado
+  try {
+    await notifyPostMentions(data)
+  } catch (err) {
+    console.error('[posts.js createPost] Error al notificar menciones:', err)
+  }
+
   return data
 }
 
-/** Traer todos los posts (más recientes primero) */
-export async function fetchPosts() {
-  const { data, error } = await supabase
+/**
+ * Traer una página de posts (más recientes primero).
+ * opts: { cursor, limit } donde cursor es el nextCursor de la página anterior
+ * ({ created_at, id }) o null para la primera página.
+ * Retorna: { items, nextCursor } (nextCursor es null cuando no hay más posts)
+ */
+export async function fetchPosts({ cursor = null, limit = POSTS_PAGE_SIZE } = {}) {
+  let query = supabase
+    .from('posts')
+    .select(POST_SELECT)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1)
+
+  query = applyPostsCursor(query, cursor)
+  query = excludeHiddenPosts(query, await fetchMyBlockedUserIds())
+
+  const { data, error } = await query
+
+  if (error) {
+    console.error('[posts.js fetchPosts] Error:', error)
+    throw error
+  }
+
+  return toPostsPage(data ?? [], limit)
+}
+/**
+ * Traer una página de posts de los usuarios que sigue userId (feed "Siguiendo").
+ * opts: { cursor, limit }, igual que fetchPosts.
+ * Retorna: { items, nextCursor }
+ */
+export async function fetchFollowingPosts(userId, { cursor = null, limit = POSTS_PAGE_SIZE } = {}) {
+  if (!userId) throw new Error('[posts.js fetchFollowingPosts] userId es obligatorio')
+
+  const followingIds = await fetchFollowingIds(userId)
+  if (!followingIds.length) return { items: [], nextCursor: null }
+
+  let query = supabase
+    .from('posts')
+    .select(POST_SELECT)
+    .in('sender_id', followingIds)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1)
+
+  query = applyPostsCursor(query, cursor)
+  query = excludeHiddenPosts(query, await fetchMyBlockedUserIds())
+
+  const { data, error } = await query
+
+  if (error) {
+    console.error('[posts.js fetchFollowingPosts] Error:', error)
+    throw error
+  }
+
+  return toPostsPage(data ?? [], limit)
+}
+
+/**
+ * Traer una página de posts que tienen un tag (más recientes primero).
+ * opts: { cursor, limit }, igual que fetchPosts.
+ * Retorna: { items, nextCursor }
+ */
+export async function fetchPostsByTag(tagId, { cursor = null, limit = POSTS_PAGE_SIZE } = {}) {
+  if (!tagId) throw new Error('[posts.js fetchPostsByTag] tagId es obligatorio')
+
+  // El embed con !inner filtra los posts; "tags" sigue trayendo todos sus tags
+  let query = supabase
     .from('posts')
-    .select('*')
+    .select(`${POST_SELECT}, tag_filter:post_tags!inner(tag_id)`)
+    .eq('tag_filter.tag_id', tagId)
     .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1)
+
+  query = applyPostsCursor(query, cursor)
+  query = excludeHiddenPosts(query, await fetchMyBlockedUserIds())
+
+  const { data, error } = await query
+
+  if (error) {
+    console.error('[posts.js fetchPostsByTag] Error:', error)
+    throw error
+  }
+
+  return toPostsPage(data ?? [], limit)
+}
+
+/**
+ * Buscar posts por palabras clave en content (full-text search de Postgres,
+ * configuración 'spanish', admite "frases", or y -excluir).
+ * filters: { query, tagId, authorId, authorEmail, from, to, limit }
+ *   - from / to: fechas 'YYYY-MM-DD' (ambas inclusive)
+ * El filtrado y el orden por relevancia (ts_rank, y luego por fecha) los hace
+ * la función search_posts de la base (ver supabase/migrations), así que son
+ * los más relevantes de todos los posts. Cada post incluye `rank` y
+ * `highlight`: segmentos { text, match } de content para resaltar.
+ */
+export async function searchPosts({
+  query = '',
+  tagId = null,
+  authorId = null,
+  authorEmail = null,
+  from = null,
+  to = null,
+  limit = SEARCH_RESULTS_LIMIT
+} = {}) {
+  const text = query.trim()
+  if (!text && !tagId && !authorId && !authorEmail && !from && !to) return []
+
+  let end = null
+  if (to) {
+    end = new Date(`${to}T00:00:00`)
+    end.setDate(end.getDate() + 1)
+  }
+
+  const { data: ranked, error } = await supabase.rpc('search_posts', {
+    p_query: text || null,
+    p_tag_id: tagId,
+    p_author_id: authorId,
+    p_author_email: authorEmail?.trim() || null,
+    p_from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+    p_to: end ? end.toISOString() : null,
+    p_limit: limit
+  })
+
+  if (error) {
+    console.error('[posts.js searchPosts] Error:', error)
+    throw error
+  }
+
+  if (!ranked?.length) return []
+
+  // Los posts completos (con tags y galería) se traen aparte y se ordenan como vinieron
+  const rankById = new Map(ranked.map(row => [row.id, row.rank]))
+  const order = new Map(ranked.map((row, index) => [row.id, index]))
+  const posts = await fetchPostsByIds(ranked.map(row => row.id))
+  const terms = getSearchTerms(text)
+
+  return posts
+    .sort((a, b) => order.get(a.id) - order.get(b.id))
+    .map(post => ({
+      ...post,
+      rank: rankById.get(post.id),
+      highlight: highlightText(post.content, terms)
+    }))
+}
+
+/**
+ * Traer varios posts por sus ids (los que ya no existen, están ocultos o son
+ * de usuarios bloqueados no vienen).
+ * Retorna un array sin un orden en particular.
+ */
+export async function fetchPostsByIds(ids = []) {
+  if (!ids.length) return []
 
-  if (error) throw error
+  const query = supabase
+    .from('posts')
+    .select(POST_SELECT)
+    .in('id', ids)
+
+  const { data, error } = await excludeHiddenPosts(query, await fetchMyBlockedUserIds())
+
+  if (error) {
+    console.error('[posts.js fetchPostsByIds] Error:', error)
+    throw error
+  }
 
-  // Aseguramos que todos los posts tengan image_url_1 / 2 válidos
-  return data.map(post => ({
-    ...post,
-    image_url_1: post.image_url_1 || (post.image_path_1 ? getFileURL(post.image_path_1, POSTS_BUCKET) : null),
-    image_url_2: post.image_url_2 || (post.image_path_2 ? getFileURL(post.image_path_2, POSTS_BUCKET) : null)
-  }))
+  return (data ?? []).map(resolvePostImages)
 }
+
 /** Traer un post por su id */
 export async function fetchPostById(id) {
   if (!id) return null
 
   const { data, error } = await supabase
     .from('posts')
-    .select('id, sender_id, user_email, theme, content, image_url_1, image_path_1, image_url_2, image_path_2, created_at')
+    .select(`id, sender_id, user_email, theme, content, mentions, hidden_at, ${LEGACY_IMAGE_COLUMNS.join(', ')}, created_at, tags(id, name, slug), ${POST_IMAGES_SELECT}`)
     .eq('id', id)
     .maybeSingle()
 
@@ -55,59 +312,128 @@ export async function fetchPostById(id) {
     throw error
   }
 
-  if (!data) return null
-
-  // Resolver URLs públicas de las imágenes
-  data.image_url_1 = data.image_url_1 || (data.image_path_1 ? await getFileURL(data.image_path_1, POSTS_BUCKET) : null)
-  data.image_url_2 = data.image_url_2 || (data.image_path_2 ? await getFileURL(data.image_path_2, POSTS_BUCKET) : null)
-
-  return data
+  return data ? resolvePostImages(data) : null
 }
 
-/** Traer posts de un usuario por sender_id */
-export async function fetchPostsByUserId(sender_id) {
+/**
+ * Traer una página de posts de un usuario por sender_id (más recientes primero).
+ * opts: { cursor, limit }, igual que fetchPosts.
+ * Retorna: { items, nextCursor }
+ */
+export async function fetchPostsByUserId(sender_id, { cursor = null, limit = POSTS_PAGE_SIZE } = {}) {
   if (!sender_id) {
     throw new Error('[posts.js fetchPostsByUserId] sender_id es obligatorio')
   }
 
-  const { data, error } = await supabase
+  let query = supabase
     .from('posts')
-    .select('id, sender_id, user_email, theme, content, image_url, image_path, created_at')
+    .select(POST_SELECT)
     .eq('sender_id', sender_id)
     .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1)
+
+  query = applyPostsCursor(query, cursor)
+  query = excludeHiddenPosts(query, await fetchMyBlockedUserIds())
+
+  const { data, error } = await query
 
   if (error) {
     console.error('[posts.js fetchPostsByUserId] Error:', error)
     throw error
   }
 
-  return data ?? []
+  return toPostsPage(data ?? [], limit)
 }
 
-/** Actualizar un post (patch: object con campos a actualizar) */
-export async function updatePost(postData) {
-  const { id, content, theme, image_url_1, image_path_1, image_url_2, image_path_2 } = postData
-  const { data, error } = await supabase
-    .from('posts')
-    .update({
-      content,
-      theme,
-      image_url_1,
-      image_path_1,
-      image_url_2,
-      image_path_2
-    })
-    .eq('id', id)
+/**
+ * Editar un post: changes puede traer { content, mentions, theme }.
+ * post es el post actual, como lo devuelve fetchPostById.
+ * opts: { tags, images } donde tags son nombres e images es la galería nueva
+ * en orden: las imágenes que quedan (como las devuelve getPostImages) y las
+ * nuevas ({ file, caption, alt }). null para no tocar los tags o las imágenes.
+ * Si algo falla, vuelve el post como estaba, borra las imágenes nuevas y
+ * relanza el error. Si sale bien, borra del bucket las imágenes que se sacaron.
+ * Retorna el post actualizado.
+ */
+export async function editPost(post, changes = {}, { tags = null, images = null } = {}) {
+  if (!post?.id) throw new Error('editPost: post es requerido')
 
-  if (error) throw error
-  return data
-}
+  const previousImages = getPostImages(post)
+  const legacy = hasLegacyImages(post)
+
+  let gallery = null
+  let uploadedPaths = []
+  if (images) {
+    validateGallery(images)
+    const uploaded = await uploadGalleryFiles(post.sender_id, images)
+    gallery = uploaded.gallery
+    uploadedPaths = uploaded.uploadedPaths
+  }
+
+  const patch = {}
+  for (const key of ['content', 'mentions', 'theme']) {
+    if (changes[key] !== undefined) patch[key] = changes[key]
+  }
+  // Las imágenes de un post de antes de la galería pasan a post_images
+  if (gallery && legacy) LEGACY_IMAGE_COLUMNS.forEach(column => { patch[column] = null })
+  const previous = Object.fromEntries(Object.keys(patch).map(key => [key, post[key] ?? null]))
+
+  if (Object.keys(patch).length) {
+    const { error } = await supabase
+      .from('posts')
+      .update(patch)
+      .eq('id', post.id)
 
+    if (error) {
+      console.error('[posts.js editPost] Error:', error)
+      await removePostImageFiles(uploadedPaths)
+      throw error
+    }
+  }
+
+  let inserted = []
+  try {
+    if (gallery) inserted = await replacePostImages(post.id, gallery, previousImages.map(image => image.id))
+    if (tags) await setPostTags(post.id, tags)
+  } catch (err) {
+    console.error('[posts.js editPost] Error al grabar imágenes o tags, se deshacen los cambios:', err)
+    try {
+      if (Object.keys(previous).length) {
+        const { error: rollbackError } = await supabase.from('posts').update(previous).eq('id', post.id)
+        if (rollbackError) throw rollbackError
+      }
+      if (inserted.length) {
+        await replacePostImages(post.id, legacy ? [] : previousImages, inserted.map(row => row.id))
+      }
+      await removePostImageFiles(uploadedPaths)
+    } catch (rollbackError) {
+      console.error('[posts.js editPost] Error al deshacer los cambios:', rollbackError)
+    }
+    throw err
+  }
 
-/** Eliminar un post por id */
+  if (gallery) {
+    const kept = new Set(imageFilePaths(gallery))
+    await removePostImageFiles(imageFilePaths(previousImages).filter(path => !kept.has(path)))
+  }
+
+  return fetchPostById(post.id)
+}
+
+/** Eliminar un post por id (y sus imágenes del bucket) */
 export async function deletePost(id) {
   if (!id) throw new Error('deletePost: id es requerido')
 
+  // Las filas de post_images se borran en cascada con el post: los paths se buscan antes
+  let galleryPaths = []
+  try {
+    galleryPaths = await fetchPostImagePaths(id)
+  } catch (err) {
+    // Si falla, los archivos quedan huérfanos y los encuentra findOrphanedFiles (ver storage-sweep.js)
+    console.error('[posts.js deletePost] Error al traer las imágenes:', err)
+  }
+
   const { data, error } = await supabase
     .from('posts')
     .delete()
@@ -119,6 +445,15 @@ export async function deletePost(id) {
     throw error
   }
 
+  // Si no se borró nada (sin permiso por RLS), no viene ninguna fila.
+  // De las columnas viejas, removePostImageFiles descarta las URLs y usa los paths.
+  if (data?.length) {
+    await removePostImageFiles([
+      ...galleryPaths,
+      ...data.flatMap(post => LEGACY_IMAGE_COLUMNS.map(column => post[column]))
+    ])
+  }
+
   return data ?? []
 }
 
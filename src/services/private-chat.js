@@ -1,4 +1,11 @@
-import { supabase } from "./supabase";
+import { SUPABASE_KEY, SUPABASE_URL, supabase } from "./supabase";
+import { PRIVATE_CHAT_BUCKET, deleteFile, getSignedUrl, uploadImageToStorage } from "./storage";
+import { REACTION_TYPES, emptyReactionSummary } from "./reactions";
+import { decodePublicKey, decryptText, encodePublicKey, encryptText, getDecryptionKey, getEncryptionSession } from "./e2ee";
+import { markChatNotificationsAsRead, notifyNewChatMessage } from "./notifications";
+import { isBlockedBetween } from "./moderation";
+import { excerptText, getSearchTerms, highlightText, matchesAllTerms } from "../helpers/search";
+import { POST_IMAGE_MAX_SIZE, isProcessableImage } from "../helpers/image";
 
 // Creamos un pequeño caché local para ir guardando los ids de los chats privados
 // que vamos obteniendo en esta sesión.
@@ -13,6 +20,113 @@ let privateChatCache = {}
 function addToPrivateChatCache(senderId, receiverId, value) {
     const key = [senderId, receiverId].sort().join('_');
     privateChatCache[key] = value;
+    chatByIdCache[value.id] = value;
+}
+
+// También guardamos los chats por id, para saber sus participantes al
+// cifrar y descifrar mensajes (ver e2ee.js).
+let chatByIdCache = {};
+
+async function fetchChatById(chatId) {
+    if(chatByIdCache[chatId]) return chatByIdCache[chatId];
+
+    const { data, error } = await supabase
+        .from('private_chats')
+        .select()
+        .eq('id', chatId);
+
+    if(error) {
+        console.error('[private-chat.js fetchChatById] Error al traer el chat: ', error);
+        throw new Error(error.message);
+    }
+
+    if(data[0]) chatByIdCache[chatId] = data[0];
+
+    return data[0] ?? null;
+}
+
+// ------------------------------------------------------------------
+// Cifrado de punta a punta (ver e2ee.js).
+// Solo se cifran los chats privados en los que los dos participantes
+// activaron el cifrado; los grupos y los adjuntos no se cifran.
+// Los mensajes se cifran al enviarlos o editarlos y se descifran en todas
+// las funciones que los traen o los escuchan, así que el resto de la app
+// siempre recibe el texto en `content`. Si no se puede descifrar (por
+// ejemplo, falta la clave en este dispositivo) el mensaje llega con
+// content vacío y decryptionFailed = true.
+// Cada mensaje cifrado guarda las claves públicas con las que se cifró
+// (private_chat_messages.sender_public_key y recipient_public_key, JWK en
+// texto; ver supabase/migrations) y se descifra con esas.
+
+async function getCurrentUserId() {
+    const { data } = await supabase.auth.getSession();
+    return data.session?.user?.id ?? null;
+}
+
+async function getChatEncryptionSession(chatId, userId) {
+    const chat = await fetchChatById(chatId);
+    if(!chat || chat.is_group) return null;
+
+    return getEncryptionSession(userId, getOtherParticipantId(chat, userId));
+}
+
+// Retorna las columnas { content, encrypted, sender_public_key, recipient_public_key } a grabar.
+async function prepareMessageContent(chatId, senderId, content) {
+    const session = content ? await getChatEncryptionSession(chatId, senderId) : null;
+    if(!session) return { content, encrypted: false, sender_public_key: null, recipient_public_key: null };
+
+    return {
+        content: await encryptText(session.key, content),
+        encrypted: true,
+        sender_public_key: encodePublicKey(session.publicKey),
+        recipient_public_key: encodePublicKey(session.peerPublicKey),
+    };
+}
+
+// Clave para descifrar un mensaje: mi clave privada (la del dispositivo que
+// corresponde a mi clave pública guardada en el mensaje) + la pública del otro.
+// Los mensajes cifrados antes de guardar las claves usan las publicadas.
+async function getMessageDecryptionKey(message, userId) {
+    if(!message.sender_public_key || !message.recipient_public_key) {
+        const session = await getChatEncryptionSession(message.chat_id, userId);
+        return session?.key ?? null;
+    }
+
+    const isMine = message.sender_id === userId;
+    const myPublicKey = decodePublicKey(isMine ? message.sender_public_key : message.recipient_public_key);
+    const peerPublicKey = decodePublicKey(isMine ? message.recipient_public_key : message.sender_public_key);
+
+    return getDecryptionKey(userId, myPublicKey, peerPublicKey);
+}
+
+export async function decryptChatMessage(message) {
+    if(!message?.encrypted) return message;
+
+    try {
+        const key = await getMessageDecryptionKey(message, await getCurrentUserId());
+        if(!key) throw new Error('No hay clave para este mensaje en este dispositivo.');
+
+        return { ...message, content: await decryptText(key, message.content) };
+    } catch (error) {
+        console.error('[private-chat.js decryptChatMessage] No se pudo descifrar el mensaje: ', message.id, error);
+        return { ...message, content: '', decryptionFailed: true };
+    }
+}
+
+function decryptChatMessages(messages) {
+    return Promise.all(messages.map(decryptChatMessage));
+}
+
+// Descifra los mensajes que llegan en tiempo real sin cambiarles el orden.
+function createDecryptQueue() {
+    let queue = Promise.resolve();
+
+    return (message, deliver) => {
+        queue = queue
+            .then(() => decryptChatMessage(message))
+            .then(deliver)
+            .catch(error => console.error('[private-chat.js] callback error: ', error));
+    };
 }
 
 function getFromPrivateChatCache(senderId, receiverId) {
@@ -20,7 +134,21 @@ function getFromPrivateChatCache(senderId, receiverId) {
     return privateChatCache[key] ?? null;
 }
 
-async function fetchOrCreatePrivateChat(senderId, receiverId) {
+// Si alguno de los dos bloqueó al otro no pueden chatear (ver moderation.js).
+// Se consulta siempre, sin caché, porque el bloqueo puede ser de recién.
+async function assertNotBlocked(userId, otherUserId) {
+    if(await isBlockedBetween(userId, otherUserId)) {
+        throw new Error('No podés chatear con este usuario.');
+    }
+}
+
+/**
+ * Traer (o crear si no existe) el chat privado entre dos usuarios.
+ * Lanza un Error si hay un bloqueo entre ellos.
+ */
+export async function fetchOrCreatePrivateChat(senderId, receiverId) {
+    await assertNotBlocked(senderId, receiverId);
+
     // Primero, buscamos en el caché.
     const cached = getFromPrivateChatCache(senderId, receiverId);
     if(cached) return cached;
@@ -78,67 +206,1040 @@ async function createPrivateChat(senderId, receiverId) {
     return data[0];
 }
 
-export async function sendNewPrivateChatMessage(senderId, receiverId, content) {
-    // Para poder grabar el mensaje, necesitamos tener el chat privado.
-    // Obtenemos el registro del privado de la conversación.
-    const privateChat = await fetchOrCreatePrivateChat(senderId, receiverId);
+// ------------------------------------------------------------------
+// Adjuntos de mensajes privados.
+// Los archivos van al bucket privado PRIVATE_CHAT_BUCKET, en la carpeta
+// "<chat_id>/<sender_id>/", así las políticas del bucket pueden dejar leer
+// solo a los participantes del chat. Se muestran con URLs firmadas.
+// Las imágenes se achican y pierden la metadata (como la ubicación GPS) antes
+// de subirse (ver helpers/image.js); el resto de los archivos se sube tal cual.
+// Columnas de private_chat_messages para el adjunto (null si no tiene):
+// attachment_path, attachment_name, attachment_type, attachment_size
+// (del archivo que se subió).
+export const PRIVATE_CHAT_MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
 
-    const { error: errorMessage } = await supabase
+/**
+ * Verificar que el archivo se pueda adjuntar. Lanza un Error si no.
+ */
+export function validatePrivateChatAttachment(file) {
+    if(!file) throw new Error('No se seleccionó ningún archivo.');
+    if(file.size > PRIVATE_CHAT_MAX_ATTACHMENT_SIZE) {
+        throw new Error('El archivo no puede pesar más de 10 MB.');
+    }
+}
+
+export function isImageAttachment(message) {
+    return !!message.attachment_path && (message.attachment_type || '').startsWith('image/');
+}
+
+/**
+ * Grabar un mensaje en una conversación (privada o grupal) por su id.
+ * En los chats privados lanza un Error si hay un bloqueo entre los dos.
+ */
+export async function sendChatMessage(chatId, senderId, content, attachment = null) {
+    const chat = await fetchChatById(chatId);
+    if(chat && !chat.is_group) {
+        await assertNotBlocked(senderId, getOtherParticipantId(chat, senderId));
+    }
+
+    // El contenido se prepara (y se cifra) antes de subir el adjunto: si falla,
+    // no queda un archivo sin mensaje.
+    const prepared = await prepareMessageContent(chatId, senderId, content);
+
+    // Si hay adjunto, lo subimos para guardar su path en el mensaje.
+    let uploaded = null;
+    if(attachment) {
+        validatePrivateChatAttachment(attachment);
+        uploaded = await uploadImageToStorage(attachment, {
+            bucket: PRIVATE_CHAT_BUCKET,
+            folder: String(chatId),
+            userId: senderId,
+            process: isProcessableImage(attachment) ? { maxSize: POST_IMAGE_MAX_SIZE } : null,
+        });
+    }
+
+    const { data, error: errorMessage } = await supabase
         .from('private_chat_messages')
         .insert({
-            chat_id: privateChat.id,
+            chat_id: chatId,
             sender_id: senderId,
-            content,
-        });
+            ...prepared,
+            attachment_path: uploaded?.path ?? null,
+            attachment_name: uploaded?.file.name ?? null,
+            attachment_type: uploaded?.file.type || null,
+            attachment_size: uploaded?.file.size ?? null,
+        })
+        .select();
     
     if(errorMessage) {
-        console.error('[private-chat.js sendNewPrivateChatMessage] Error al enviar mensaje del chat privado: ', errorMessage);
+        console.error('[private-chat.js sendChatMessage] Error al enviar mensaje del chat: ', errorMessage);
+        // El mensaje no se grabó: borramos el adjunto para no dejarlo huérfano.
+        if(uploaded) {
+            deleteFile(uploaded.path, PRIVATE_CHAT_BUCKET)
+                .catch(error => console.error('[private-chat.js sendChatMessage] Error al borrar el adjunto: ', error));
+        }
         throw new Error(errorMessage.message);
     }
+
+    // Avisamos a los demás participantes (si falla, el mensaje igual quedó enviado).
+    try {
+        await notifyNewChatMessage(data[0], await fetchChatRecipientIds(chatId, senderId));
+    } catch (error) {
+        console.error('[private-chat.js sendChatMessage] Error al crear las notificaciones: ', error);
+    }
 }
 
-export async function fetchLastPrivateChatMessages(senderId, receiverId) {
-    const privateChat = await fetchOrCreatePrivateChat(senderId, receiverId);
+// Participantes de la conversación, sin contar a quien envía.
+async function fetchChatRecipientIds(chatId, senderId) {
+    const chat = await fetchChatById(chatId);
+    if(!chat) return [];
+    if(!chat.is_group) return [getOtherParticipantId(chat, senderId)];
 
     const { data, error } = await supabase
+        .from('private_chat_members')
+        .select('user_id')
+        .eq('chat_id', chatId);
+
+    if(error) {
+        console.error('[private-chat.js fetchChatRecipientIds] Error al traer los participantes: ', error);
+        throw new Error(error.message);
+    }
+
+    return data.map(member => member.user_id).filter(userId => userId !== senderId);
+}
+
+// Duración de las URLs firmadas de los adjuntos.
+const ATTACHMENT_URL_EXPIRES_SECONDS = 60 * 60;
+// Las renovamos un poco antes de que venzan.
+const ATTACHMENT_URL_MARGIN_MS = 5 * 60 * 1000;
+
+// Caché de URLs firmadas: { [attachment_path]: { url, expiresAt } }
+let attachmentUrlCache = {};
+
+/**
+ * Obtener la URL firmada del adjunto de un mensaje.
+ * Usa la del caché mientras no esté por vencer (o si forceRefresh es true,
+ * por ejemplo cuando la imagen no cargó).
+ * Retorna { url, expiresAt } (expiresAt en milisegundos).
+ * Las imágenes se abren en el navegador; el resto se descarga con su nombre.
+ */
+export async function getPrivateChatAttachmentUrl(message, forceRefresh = false) {
+    const path = message.attachment_path;
+    const cached = attachmentUrlCache[path];
+
+    if(!forceRefresh && cached && cached.expiresAt - ATTACHMENT_URL_MARGIN_MS > Date.now()) {
+        return cached;
+    }
+
+    const options = isImageAttachment(message) ? {} : { download: message.attachment_name || true };
+    const url = await getSignedUrl(path, ATTACHMENT_URL_EXPIRES_SECONDS, PRIVATE_CHAT_BUCKET, options);
+
+    attachmentUrlCache[path] = {
+        url,
+        expiresAt: Date.now() + ATTACHMENT_URL_EXPIRES_SECONDS * 1000,
+    };
+
+    return attachmentUrlCache[path];
+}
+
+// Cantidad de mensajes que se traen por página del historial.
+export const PRIVATE_CHAT_PAGE_SIZE = 30;
+
+/**
+ * Traer una página de mensajes de una conversación (privada o grupal) por su id:
+ * los últimos `limit`, o los anteriores a `beforeMessage` si se indica.
+ * Vienen ordenados del más viejo al más nuevo.
+ */
+export async function fetchChatMessages(chatId, beforeMessage = null, limit = PRIVATE_CHAT_PAGE_SIZE) {
+    // Pedimos del más nuevo al más viejo para quedarnos con los últimos `limit`.
+    // El id desempata mensajes con el mismo created_at.
+    let query = supabase
         .from('private_chat_messages')
         .select()
-        .eq('chat_id', privateChat.id);
-    
+        .eq('chat_id', chatId)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+    if(beforeMessage) {
+        query = query.or(
+            `created_at.lt."${beforeMessage.created_at}",and(created_at.eq."${beforeMessage.created_at}",id.lt.${beforeMessage.id})`
+        );
+    }
+
+    const { data, error } = await query;
+
     if(error) {
-        console.error('[private-chat.js fetchLastPrivateChatMessages] Error al traer los mensajes del chat privado: ', error);
+        console.error('[private-chat.js fetchChatMessages] Error al traer los mensajes del chat: ', error);
+        throw new Error(error.message);
+    }
+
+    // Los devolvemos en orden cronológico para mostrarlos.
+    return decryptChatMessages(data.reverse());
+}
+
+/**
+ * Traer los mensajes posteriores a `afterMessage`, del más viejo al más nuevo.
+ * Sirve para seguir bajando cuando el historial se abrió en un mensaje viejo.
+ */
+export async function fetchNewerChatMessages(chatId, afterMessage, limit = PRIVATE_CHAT_PAGE_SIZE) {
+    const { data, error } = await supabase
+        .from('private_chat_messages')
+        .select()
+        .eq('chat_id', chatId)
+        .or(`created_at.gt."${afterMessage.created_at}",and(created_at.eq."${afterMessage.created_at}",id.gt.${afterMessage.id})`)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(limit);
+
+    if(error) {
+        console.error('[private-chat.js fetchNewerChatMessages] Error al traer los mensajes siguientes: ', error);
+        throw new Error(error.message);
+    }
+
+    return decryptChatMessages(data);
+}
+
+/**
+ * Traer el historial alrededor de un mensaje (la mitad antes y la mitad después),
+ * para abrir la conversación en ese punto (por ejemplo, desde la búsqueda).
+ * Retorna { messages, hasOlder, hasNewer }, o null si el mensaje no existe
+ * o no es de este chat.
+ */
+export async function fetchChatMessagesAround(chatId, messageId, limit = PRIVATE_CHAT_PAGE_SIZE) {
+    const { data, error } = await supabase
+        .from('private_chat_messages')
+        .select()
+        .eq('chat_id', chatId)
+        .eq('id', messageId);
+
+    if(error) {
+        console.error('[private-chat.js fetchChatMessagesAround] Error al traer el mensaje: ', error);
+        throw new Error(error.message);
+    }
+
+    if(!data[0]) return null;
+
+    const half = Math.max(1, Math.floor(limit / 2));
+    const [older, target, newer] = await Promise.all([
+        fetchChatMessages(chatId, data[0], half),
+        decryptChatMessage(data[0]),
+        fetchNewerChatMessages(chatId, data[0], half),
+    ]);
+
+    return {
+        messages: [...older, target, ...newer],
+        hasOlder: older.length === half,
+        hasNewer: newer.length === half,
+    };
+}
+
+// ------------------------------------------------------------------
+// Edición, borrado y reacciones de mensajes.
+// - Editar cambia el contenido y guarda la fecha en private_chat_messages.edited_at.
+// - Borrar elimina el mensaje para los dos participantes (y su adjunto).
+// - Las reacciones se guardan en private_chat_message_reactions
+//   ({ id, message_id, chat_id, user_id, type, created_at }, único por
+//   message_id + user_id + type, con on delete cascade desde el mensaje).
+//   Los tipos son los mismos de las reacciones de los posts (REACTION_TYPES).
+//
+// Nota: Supabase no filtra los eventos DELETE y, con RLS, el registro borrado
+// solo trae la primary key. Por eso los borrados se escuchan sin filtro y se
+// informan por id: quien escucha descarta los ids que no tiene.
+
+export async function editPrivateChatMessage(message, senderId, content) {
+    if(!content || !content.trim()) throw new Error('El mensaje no puede quedar vacío.');
+
+    const prepared = await prepareMessageContent(message.chat_id, senderId, content);
+
+    const { data, error } = await supabase
+        .from('private_chat_messages')
+        .update({
+            ...prepared,
+            edited_at: new Date().toISOString(),
+        })
+        .eq('id', message.id)
+        .eq('sender_id', senderId)
+        .select();
+
+    if(error) {
+        console.error('[private-chat.js editPrivateChatMessage] Error al editar el mensaje: ', error);
+        throw new Error(error.message);
+    }
+
+    if(!data.length) throw new Error('No se encontró el mensaje o no sos su autor.');
+
+    return decryptChatMessage(data[0]);
+}
+
+export async function deletePrivateChatMessage(message, senderId) {
+    const { data, error } = await supabase
+        .from('private_chat_messages')
+        .delete()
+        .eq('id', message.id)
+        .eq('sender_id', senderId)
+        .select();
+
+    if(error) {
+        console.error('[private-chat.js deletePrivateChatMessage] Error al eliminar el mensaje: ', error);
+        throw new Error(error.message);
+    }
+
+    if(!data.length) throw new Error('No se encontró el mensaje o no sos su autor.');
+
+    // Si tenía adjunto lo borramos del bucket (si falla, el mensaje ya no existe igual).
+    if(message.attachment_path) {
+        deleteFile(message.attachment_path, PRIVATE_CHAT_BUCKET)
+            .catch(error => console.error('[private-chat.js deletePrivateChatMessage] Error al borrar el adjunto: ', error));
+        delete attachmentUrlCache[message.attachment_path];
+    }
+}
+
+/**
+ * Traer las reacciones (registros completos) de varios mensajes.
+ */
+export async function fetchPrivateChatMessageReactions(messageIds) {
+    if(!messageIds.length) return [];
+
+    const { data, error } = await supabase
+        .from('private_chat_message_reactions')
+        .select()
+        .in('message_id', messageIds);
+
+    if(error) {
+        console.error('[private-chat.js fetchPrivateChatMessageReactions] Error al traer las reacciones: ', error);
         throw new Error(error.message);
     }
 
     return data;
 }
 
-export async function subscribeToNewPrivateChatMessages(senderId, receiverId, callback) {
-    const privateChat = await fetchOrCreatePrivateChat(senderId, receiverId);
+/**
+ * Agrupar reacciones por mensaje con el mismo formato que reactions.js:
+ * { [message_id]: { counts, total, mine } }
+ */
+export function summarizePrivateChatMessageReactions(reactions, userId) {
+    const summaries = {};
+
+    for(const reaction of reactions) {
+        const summary = summaries[reaction.message_id] ??= emptyReactionSummary();
+        if(!(reaction.type in summary.counts)) continue;
+
+        summary.counts[reaction.type]++;
+        summary.total++;
+        if(reaction.user_id === userId) summary.mine.push(reaction.type);
+    }
+
+    return summaries;
+}
+
+/**
+ * Agregar o quitar una reacción del usuario a un mensaje.
+ * Retorna true si quedó agregada, false si se quitó.
+ */
+export async function togglePrivateChatMessageReaction(message, userId, type) {
+    if(!REACTION_TYPES.some(reaction => reaction.type === type)) {
+        throw new Error('Tipo de reacción inválido: ' + type);
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+        .from('private_chat_message_reactions')
+        .select('id')
+        .eq('message_id', message.id)
+        .eq('user_id', userId)
+        .eq('type', type);
+
+    if(fetchError) {
+        console.error('[private-chat.js togglePrivateChatMessageReaction] Error al buscar la reacción: ', fetchError);
+        throw new Error(fetchError.message);
+    }
+
+    if(existing.length) {
+        const { error } = await supabase
+            .from('private_chat_message_reactions')
+            .delete()
+            .eq('id', existing[0].id);
+
+        if(error) {
+            console.error('[private-chat.js togglePrivateChatMessageReaction] Error al quitar la reacción: ', error);
+            throw new Error(error.message);
+        }
+        return false;
+    }
+
+    const { error } = await supabase
+        .from('private_chat_message_reactions')
+        .insert({
+            message_id: message.id,
+            chat_id: message.chat_id,
+            user_id: userId,
+            type,
+        });
+
+    if(error) {
+        console.error('[private-chat.js togglePrivateChatMessageReaction] Error al agregar la reacción: ', error);
+        throw new Error(error.message);
+    }
+    return true;
+}
+
+// Cada suscripción a una conversación usa su propio canal.
+let chatChangesSubscriptionCount = 0;
+
+/**
+ * Escuchar todos los cambios de una conversación (privada o grupal) por su id.
+ * callback recibe:
+ *  - { type: 'message', message } mensaje nuevo.
+ *  - { type: 'update', message } mensaje editado.
+ *  - { type: 'delete', messageId } mensaje borrado (puede ser de otro chat).
+ *  - { type: 'reaction', reaction } reacción nueva.
+ *  - { type: 'reaction_delete', reactionId } reacción quitada (puede ser de otro chat).
+ * Devuelve una función para cancelar la suscripción.
+ */
+export function subscribeToChatChanges(chatId, callback) {
+    const filter = 'chat_id=eq.' + chatId;
+
+    const chatChannel = supabase.channel('private_chat_changes:' + chatId + ':' + (++chatChangesSubscriptionCount));
+    const decryptQueue = createDecryptQueue();
+
+    chatChannel.on(
+        'postgres_changes',
+        { event: 'INSERT', table: 'private_chat_messages', filter },
+        payload => decryptQueue(payload.new, message => callback({ type: 'message', message }))
+    );
+
+    chatChannel.on(
+        'postgres_changes',
+        { event: 'UPDATE', table: 'private_chat_messages', filter },
+        payload => decryptQueue(payload.new, message => callback({ type: 'update', message }))
+    );
 
-    const chatChannel = supabase.channel('private_chat_messages');
+    chatChannel.on(
+        'postgres_changes',
+        { event: 'DELETE', table: 'private_chat_messages' },
+        payload => callback({ type: 'delete', messageId: payload.old.id })
+    );
 
     chatChannel.on(
+        'postgres_changes',
+        { event: 'INSERT', table: 'private_chat_message_reactions', filter },
+        payload => callback({ type: 'reaction', reaction: payload.new })
+    );
+
+    chatChannel.on(
+        'postgres_changes',
+        { event: 'DELETE', table: 'private_chat_message_reactions' },
+        payload => callback({ type: 'reaction_delete', reactionId: payload.old.id })
+    );
+
+    chatChannel.subscribe();
+
+    return () => {
+        chatChannel.unsubscribe();
+    }
+}
+
+
+// Para saber qué mensajes no leyó cada usuario guardamos, por chat y por
+// usuario, la fecha del último mensaje leído en la tabla private_chat_reads
+// ({ chat_id, user_id, last_read_at }, con PK compuesta chat_id + user_id).
+// Un mensaje está sin leer si es del otro participante y es posterior a esa fecha.
+
+/**
+ * Marcar como leída una conversación (privada o grupal) por su id.
+ * La fecha la pone el servidor (mark_chat_as_read, ver supabase/migrations).
+ */
+export async function markChatAsRead(chatId, userId) {
+    const { error } = await supabase.rpc('mark_chat_as_read', { p_chat_id: chatId });
+
+    if(error) {
+        console.error('[private-chat.js markChatAsRead] Error al marcar el chat como leído: ', error);
+        throw new Error(error.message);
+    }
+
+    // Los avisos de mensajes nuevos de este chat ya no hacen falta.
+    await markChatNotificationsAsRead(userId, chatId);
+}
+
+/**
+ * Traer hasta cuándo leyó un usuario una conversación (privada o grupal).
+ */
+export async function fetchChatLastReadAt(chatId, userId) {
+    const { data, error } = await supabase
+        .from('private_chat_reads')
+        .select()
+        .eq('chat_id', chatId)
+        .eq('user_id', userId);
+
+    if(error) {
+        console.error('[private-chat.js fetchChatLastReadAt] Error al traer la lectura del chat: ', error);
+        throw new Error(error.message);
+    }
+
+    return data[0]?.last_read_at ?? null;
+}
+
+// Cada suscripción usa su propio canal.
+let readsSubscriptionCount = 0;
+
+/**
+ * Escuchar cuándo un usuario lee una conversación (privada o grupal).
+ * callback recibe la nueva fecha de lectura (last_read_at).
+ */
+export function subscribeToChatReads(chatId, readerId, callback) {
+    const readsChannel = supabase.channel('private_chat_reads:' + chatId + ':' + readerId + ':' + (++readsSubscriptionCount));
+
+    // Se hace upsert, así que puede llegar como INSERT (primera lectura) o UPDATE.
+    for(const event of ['INSERT', 'UPDATE']) {
+        readsChannel.on(
+            'postgres_changes',
+            {
+                event,
+                table: 'private_chat_reads',
+                filter: 'chat_id=eq.' + chatId,
+            },
+            payload => {
+                if(payload.new.user_id === readerId) callback(payload.new.last_read_at);
+            }
+        );
+    }
+
+    readsChannel.subscribe();
+
+    return () => {
+        readsChannel.unsubscribe();
+    }
+}
+
+/**
+ * Traer las filas de private_chats en las que participa el usuario:
+ * los chats de a dos y los grupos de los que es miembro.
+ */
+async function fetchMyChatRows(userId) {
+    const [{ data: directChats, error }, { data: memberships, error: membershipsError }] = await Promise.all([
+        supabase
+            .from('private_chats')
+            .select()
+            .or(`user_id1.eq.${userId},user_id2.eq.${userId}`),
+        supabase
+            .from('private_chat_members')
+            .select('chat_id')
+            .eq('user_id', userId),
+    ]);
+
+    if(error || membershipsError) {
+        const err = error ?? membershipsError;
+        console.error('[private-chat.js fetchMyChatRows] Error al traer los chats privados: ', err);
+        throw new Error(err.message);
+    }
+
+    let groupChats = [];
+    if(memberships.length) {
+        const { data, error: groupsError } = await supabase
+            .from('private_chats')
+            .select()
+            .in('id', memberships.map(membership => membership.chat_id));
+
+        if(groupsError) {
+            console.error('[private-chat.js fetchMyChatRows] Error al traer los grupos: ', groupsError);
+            throw new Error(groupsError.message);
+        }
+        groupChats = data;
+    }
+
+    return { directChats, groupChats };
+}
+
+/**
+ * Traer todas las conversaciones del usuario (privadas y grupos, ver
+ * group-chat.js), de la más reciente a la más vieja.
+ * Cada item: { id, isGroup, name, otherUser, lastMessage, unreadCount, created_at }
+ * (en los grupos otherUser es null y name es el nombre del grupo).
+ * Las filas, con su último mensaje y la cantidad sin leer, salen de una sola
+ * llamada a fetch_my_inbox (ver supabase/migrations).
+ */
+export async function fetchMyPrivateChats(userId) {
+    const items = await fetchInboxItems(userId, null);
+    return sortPrivateChatsByActivity(items);
+}
+
+/**
+ * Traer una sola conversación del usuario, con el formato de los items de
+ * fetchMyPrivateChats, para actualizar la bandeja cuando llega un evento.
+ * Retorna null si el usuario ya no participa (por ejemplo, lo sacaron del grupo).
+ */
+export async function fetchMyPrivateChat(userId, chatId) {
+    const [item] = await fetchInboxItems(userId, [chatId]);
+    return item ?? null;
+}
+
+async function fetchInboxItems(userId, chatIds) {
+    const { data, error } = await supabase.rpc('fetch_my_inbox', { p_chat_ids: chatIds });
+
+    if(error) {
+        console.error('[private-chat.js fetchInboxItems] Error al traer las conversaciones: ', error);
+        throw new Error(error.message);
+    }
+
+    return Promise.all(data.map(async row => {
+        const { other_user: otherUser, last_message: lastMessage, unread_count: unreadCount, ...chat } = row;
+        const item = {
+            id: chat.id,
+            isGroup: !!chat.is_group,
+            name: chat.is_group ? chat.name : null,
+            otherUser: null,
+            lastMessage: await decryptChatMessage(lastMessage),
+            unreadCount: unreadCount ?? 0,
+            created_at: chat.created_at,
+        };
+
+        if(chat.is_group) return item;
+
+        // Ya que lo tenemos, lo dejamos en el caché.
+        const otherId = getOtherParticipantId(chat, userId);
+        addToPrivateChatCache(userId, otherId, chat);
+
+        return { ...item, otherUser: otherUser ?? { id: otherId } };
+    }));
+}
+
+function getOtherParticipantId(chat, userId) {
+    return chat.user_id1 === userId ? chat.user_id2 : chat.user_id1;
+}
+
+/**
+ * Ordena los items de fetchMyPrivateChats por su último mensaje (o por la
+ * creación del chat si todavía no tiene mensajes).
+ */
+export function sortPrivateChatsByActivity(items) {
+    const activity = item => new Date(item.lastMessage?.created_at ?? item.created_at ?? 0).getTime();
+    return [...items].sort((a, b) => activity(b) - activity(a));
+}
+
+// ------------------------------------------------------------------
+// Búsqueda de mensajes.
+// Los mensajes sin cifrar se buscan en la base con search_chat_messages (ver
+// supabase/migrations), que filtra igual que matchesAllTerms (sin distinguir
+// tildes) antes de aplicar el límite.
+// Los mensajes cifrados solo se pueden buscar después de descifrarlos, así que
+// se revisan los últimos SEARCH_ENCRYPTED_SCAN_LIMIT de esos chats.
+
+export const PRIVATE_CHAT_SEARCH_LIMIT = 50;
+const SEARCH_ENCRYPTED_SCAN_LIMIT = 300;
+
+/**
+ * Buscar texto en los mensajes de todas las conversaciones del usuario
+ * (o solo en la de chatId), del más nuevo al más viejo.
+ * Cada resultado: { message, chat: { id, isGroup, name, otherUser }, excerpt }
+ * donde excerpt son los segmentos { text, match } del texto alrededor de la
+ * coincidencia (ver helpers/search.js).
+ */
+export async function searchPrivateChatMessages(userId, query, { chatId = null, limit = PRIVATE_CHAT_SEARCH_LIMIT } = {}) {
+    const terms = getSearchTerms(query);
+    if(!terms.length) return [];
+
+    const { directChats, groupChats } = await fetchMyChatRows(userId);
+    const chats = [...directChats, ...groupChats].filter(chat => !chatId || String(chat.id) === String(chatId));
+    if(!chats.length) return [];
+
+    const chatIds = chats.map(chat => chat.id);
+
+    const plainQuery = supabase.rpc('search_chat_messages', {
+        p_chat_ids: chatIds,
+        p_terms: terms,
+        p_limit: limit,
+    });
+
+    const encryptedQuery = supabase
+        .from('private_chat_messages')
+        .select()
+        .in('chat_id', chatIds)
+        .eq('encrypted', true)
+        .order('created_at', { ascending: false })
+        .limit(SEARCH_ENCRYPTED_SCAN_LIMIT);
+
+    const [{ data: plain, error }, { data: encrypted, error: encryptedError }] = await Promise.all([plainQuery, encryptedQuery]);
+
+    if(error || encryptedError) {
+        const err = error ?? encryptedError;
+        console.error('[private-chat.js searchPrivateChatMessages] Error al buscar mensajes: ', err);
+        throw new Error(err.message);
+    }
+
+    const decrypted = (await decryptChatMessages(encrypted)).filter(message => matchesAllTerms(message.content, terms));
+    const messages = [...plain, ...decrypted]
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit);
+    if(!messages.length) return [];
+
+    // Perfiles de los otros participantes de los chats de a dos con resultados.
+    const chatsById = Object.fromEntries(chats.map(chat => [chat.id, chat]));
+    const otherIds = [...new Set(messages
+        .map(message => chatsById[message.chat_id])
+        .filter(chat => !chat.is_group)
+        .map(chat => getOtherParticipantId(chat, userId)))];
+
+    let profiles = [];
+    if(otherIds.length) {
+        const { data, error: profilesError } = await supabase.from('user_profiles').select().in('id', otherIds);
+
+        if(profilesError) {
+            console.error('[private-chat.js searchPrivateChatMessages] Error al traer los perfiles: ', profilesError);
+            throw new Error(profilesError.message);
+        }
+        profiles = data;
+    }
+
+    return messages.map(message => {
+        const chat = chatsById[message.chat_id];
+        const otherId = chat.is_group ? null : getOtherParticipantId(chat, userId);
+
+        return {
+            message,
+            chat: {
+                id: chat.id,
+                isGroup: !!chat.is_group,
+                name: chat.is_group ? chat.name : null,
+                otherUser: otherId ? (profiles.find(profile => profile.id === otherId) ?? { id: otherId }) : null,
+            },
+            excerpt: highlightText(excerptText(message.content, terms), terms),
+        };
+    });
+}
+
+/**
+ * Escuchar la actividad de todas las conversaciones del usuario.
+ * callback recibe:
+ *  - { type: 'message', message } por cada mensaje nuevo en alguno de los chats indicados.
+ *  - { type: 'update', message } cuando se edita un mensaje de esos chats.
+ *  - { type: 'delete', messageId } cuando se borra un mensaje (de cualquier
+ *    chat: los DELETE no se pueden filtrar).
+ *  - { type: 'chat', chat } cuando se crea un chat nuevo con el usuario, o
+ *    cuando lo agregan o lo sacan de un grupo (chat es { id } del grupo).
+ *  - { type: 'read', read } cuando el usuario marca un chat como leído
+ *    (desde esta u otra pestaña o dispositivo).
+ * Devuelve una función para cancelar la suscripción.
+ */
+// Cada suscripción usa su propio canal (la bandeja y el contador del menú
+// pueden estar escuchando al mismo tiempo).
+let inboxSubscriptionCount = 0;
+
+export function subscribeToMyPrivateChats(userId, chatIds, callback) {
+    const inboxChannel = supabase.channel('private_chats:inbox:' + userId + ':' + (++inboxSubscriptionCount));
+    const decryptQueue = createDecryptQueue();
+
+    // Mensajes nuevos en cualquiera de mis chats.
+    if(chatIds.length) {
+        inboxChannel.on(
+            'postgres_changes',
+            {
+                event: 'INSERT',
+                table: 'private_chat_messages',
+                filter: `chat_id=in.(${chatIds.join(',')})`,
+            },
+            payload => {
+                decryptQueue(payload.new, message => callback({ type: 'message', message }));
+            }
+        );
+
+        inboxChannel.on(
+            'postgres_changes',
+            {
+                event: 'UPDATE',
+                table: 'private_chat_messages',
+                filter: `chat_id=in.(${chatIds.join(',')})`,
+            },
+            payload => {
+                decryptQueue(payload.new, message => callback({ type: 'update', message }));
+            }
+        );
+
+        inboxChannel.on(
+            'postgres_changes',
+            {
+                event: 'DELETE',
+                table: 'private_chat_messages',
+            },
+            payload => {
+                callback({ type: 'delete', messageId: payload.old.id });
+            }
+        );
+    }
+
+    // Chats nuevos en los que participo (puedo ser user_id1 o user_id2).
+    for(const column of ['user_id1', 'user_id2']) {
+        inboxChannel.on(
+            'postgres_changes',
+            {
+                event: 'INSERT',
+                table: 'private_chats',
+                filter: `${column}=eq.${userId}`,
+            },
+            payload => {
+                callback({ type: 'chat', chat: payload.new });
+            }
+        );
+    }
+
+    // Grupos: cuando me agregan o me sacan (el DELETE no se puede filtrar,
+    // pero trae la PK completa: chat_id + user_id).
+    inboxChannel.on(
         'postgres_changes',
         {
             event: 'INSERT',
-            table: 'private_chat_messages',
-            // Necesitamos especificar que solo nos interesan los mensajes de esta 
-            // conversación.
-            filter: 'chat_id=eq.' + privateChat.id,
+            table: 'private_chat_members',
+            filter: `user_id=eq.${userId}`,
         },
         payload => {
-            callback(payload.new);
+            callback({ type: 'chat', chat: { id: payload.new.chat_id } });
         }
     );
 
-    chatChannel.subscribe();
+    inboxChannel.on(
+        'postgres_changes',
+        {
+            event: 'DELETE',
+            table: 'private_chat_members',
+        },
+        payload => {
+            if(payload.old.user_id === userId) callback({ type: 'chat', chat: { id: payload.old.chat_id } });
+        }
+    );
+
+    // Mis propias lecturas (upsert: INSERT o UPDATE).
+    for(const event of ['INSERT', 'UPDATE']) {
+        inboxChannel.on(
+            'postgres_changes',
+            {
+                event,
+                table: 'private_chat_reads',
+                filter: `user_id=eq.${userId}`,
+            },
+            payload => {
+                callback({ type: 'read', read: payload.new });
+            }
+        );
+    }
+
+    inboxChannel.subscribe();
 
     return () => {
-        chatChannel.unsubscribe();
+        inboxChannel.unsubscribe();
+    }
+}
+
+// ------------------------------------------------------------------
+// Presencia (en línea / última vez) y "escribiendo…".
+// Usamos un único canal de presencia para toda la app ('online-users'),
+// donde cada usuario autenticado se registra con { user_id }.
+// La "última vez" se guarda en user_profiles.last_seen_at con la hora del
+// servidor (touch_last_seen, ver supabase/migrations): al entrar, cada minuto
+// mientras está en línea y al salir.
+const PRESENCE_HEARTBEAT_MS = 60 * 1000;
+
+let presenceChannel = null;
+let presenceSubscribed = false;
+let onlineUserIds = new Set();
+let presenceListeners = [];
+let trackedUserId = null;
+let presenceHeartbeat = null;
+
+function getPresenceChannel() {
+    if(presenceChannel) return presenceChannel;
+
+    presenceChannel = supabase.channel('online-users');
+
+    presenceChannel.on('presence', { event: 'sync' }, () => {
+        const previous = onlineUserIds;
+        onlineUserIds = new Set(
+            Object.values(presenceChannel.presenceState()).flat().map(presence => presence.user_id)
+        );
+
+        // Avisamos a los que escuchan a un usuario que entró o salió.
+        presenceListeners.forEach(listener => {
+            const wasOnline = previous.has(listener.userId);
+            const isOnline = onlineUserIds.has(listener.userId);
+            if(wasOnline !== isOnline) {
+                listener.callback({ online: isOnline, lastSeenAt: isOnline ? null : new Date().toISOString() });
+            }
+        });
+    });
+
+    presenceChannel.subscribe(status => {
+        presenceSubscribed = status === 'SUBSCRIBED';
+        if(presenceSubscribed && trackedUserId) {
+            presenceChannel.track({ user_id: trackedUserId, online_at: new Date().toISOString() });
+        }
+    });
+
+    return presenceChannel;
+}
+
+// Token de la sesión, para mandar la última conexión al cerrar la página.
+let presenceAccessToken = null;
+
+async function updateLastSeen() {
+    const [{ error }, { data }] = await Promise.all([
+        supabase.rpc('touch_last_seen'),
+        supabase.auth.getSession(),
+    ]);
+    presenceAccessToken = data.session?.access_token ?? null;
+
+    if(error) {
+        console.error('[private-chat.js updateLastSeen] Error al actualizar la última conexión: ', error);
+    }
+}
+
+// Al cerrar la página, un pedido de supabase-js no llega a salir: se manda con
+// fetch keepalive, que el navegador termina aunque la página ya no exista.
+function sendLastSeenOnUnload() {
+    if(!presenceAccessToken) return;
+
+    fetch(SUPABASE_URL + '/rest/v1/rpc/touch_last_seen', {
+        method: 'POST',
+        keepalive: true,
+        headers: {
+            'apikey': SUPABASE_KEY,
+            'Authorization': 'Bearer ' + presenceAccessToken,
+            'Content-Type': 'application/json',
+        },
+        body: '{}',
+    }).catch(error => console.error('[private-chat.js sendLastSeenOnUnload] Error al actualizar la última conexión: ', error));
+}
+
+/**
+ * Registrar al usuario autenticado como "en línea".
+ * Devuelve una función para salir (al cerrar sesión o cambiar de usuario).
+ */
+export function joinOnlinePresence(userId) {
+    if(!userId) return () => {};
+
+    trackedUserId = userId;
+    // Si el canal ya estaba conectado registramos acá; si no, al conectarse.
+    const channel = getPresenceChannel();
+    if(presenceSubscribed) {
+        channel.track({ user_id: userId, online_at: new Date().toISOString() });
+    }
+
+    updateLastSeen();
+    clearInterval(presenceHeartbeat);
+    presenceHeartbeat = setInterval(updateLastSeen, PRESENCE_HEARTBEAT_MS);
+
+    window.addEventListener('pagehide', sendLastSeenOnUnload);
+
+    return () => {
+        window.removeEventListener('pagehide', sendLastSeenOnUnload);
+        clearInterval(presenceHeartbeat);
+        presenceHeartbeat = null;
+        if(trackedUserId !== userId) return;
+
+        trackedUserId = null;
+        updateLastSeen();
+        if(presenceSubscribed) presenceChannel.untrack();
     }
 }
 
+/**
+ * Escuchar si un usuario está en línea.
+ * callback recibe { online, lastSeenAt } al suscribirse y cada vez que cambia.
+ * Devuelve una función para cancelar la suscripción.
+ */
+export function subscribeToUserPresence(userId, callback) {
+    getPresenceChannel();
+
+    const listener = { userId, callback };
+    presenceListeners.push(listener);
+
+    if(onlineUserIds.has(userId)) {
+        callback({ online: true, lastSeenAt: null });
+    } else {
+        // Si no está en línea, buscamos su última conexión.
+        supabase
+            .from('user_profiles')
+            .select('last_seen_at')
+            .eq('id', userId)
+            .then(({ data, error }) => {
+                if(error) {
+                    console.error('[private-chat.js subscribeToUserPresence] Error al traer la última conexión: ', error);
+                }
+                // Puede haber entrado mientras tanto.
+                if(!presenceListeners.includes(listener) || onlineUserIds.has(userId)) return;
+                callback({ online: false, lastSeenAt: data?.[0]?.last_seen_at ?? null });
+            });
+    }
+
+    return () => {
+        presenceListeners = presenceListeners.filter(l => l !== listener);
+    }
+}
+
+// Tiempo sin avisos de "escribiendo" para considerar que el otro dejó de escribir.
+const TYPING_TIMEOUT_MS = 4000;
+// Cada cuánto reenviamos el aviso mientras el usuario sigue escribiendo.
+const TYPING_THROTTLE_MS = 2000;
+
+/**
+ * Indicador de "escribiendo…" de una conversación (privada o grupal) por su
+ * id, usando broadcast (no se guarda nada en la base).
+ * onTypingChange recibe el array de ids de los usuarios que están escribiendo.
+ * Devuelve { notifyTyping, stopTyping, unsubscribe }:
+ *  - notifyTyping(): llamarla en cada cambio del campo de texto.
+ *  - stopTyping(): al enviar el mensaje o vaciar el campo.
+ */
+export function subscribeToChatTyping(chatId, userId, onTypingChange) {
+    const typingChannel = supabase.channel('private_chat_typing:' + chatId, {
+        config: { broadcast: { self: false } },
+    });
+
+    // { [user_id]: timeout } de quienes están escribiendo
+    const typingTimeouts = {};
+    let lastSentAt = 0;
+
+    function setTyping(typingUserId, typing) {
+        clearTimeout(typingTimeouts[typingUserId]);
+        delete typingTimeouts[typingUserId];
+
+        if(typing) {
+            typingTimeouts[typingUserId] = setTimeout(() => setTyping(typingUserId, false), TYPING_TIMEOUT_MS);
+        }
+
+        onTypingChange(Object.keys(typingTimeouts));
+    }
+
+    typingChannel.on('broadcast', { event: 'typing' }, ({ payload }) => {
+        if(payload.user_id === userId) return;
+
+        setTyping(payload.user_id, payload.typing);
+    });
+
+    typingChannel.subscribe();
+
+    function send(typing) {
+        typingChannel.send({
+            type: 'broadcast',
+            event: 'typing',
+            payload: { user_id: userId, typing },
+        });
+    }
+
+    return {
+        notifyTyping() {
+            const now = Date.now();
+            if(now - lastSentAt < TYPING_THROTTLE_MS) return;
+            lastSentAt = now;
+            send(true);
+        },
+        stopTyping() {
+            if(!lastSentAt) return;
+            lastSentAt = 0;
+            send(false);
+        },
+        unsubscribe() {
+            Object.values(typingTimeouts).forEach(clearTimeout);
+            typingChannel.unsubscribe();
+        },
+    };
+}
 
 // ------------------------------------------------------------------
 // Tests para probar chat privado.
@@ -0,0 +1,195 @@
+// src/services/reactions.js
+import { supabase } from './supabase.js'
+
+// Tabla reactions: { id, user_id, target_type: 'post'|'comment', target_id, post_id, type, created_at }
+//  - único por (user_id, target_type, target_id, type)
+//  - post_id es el post al que pertenece la reacción (el mismo post o el post
+//    del comentario), así una sola suscripción cubre un post y sus comentarios.
+// Vista reaction_counts: { target_type, target_id, type, count }, las
+// cantidades agrupadas en la base (ver supabase/migrations).
+//
+// Nota: Supabase no filtra los eventos DELETE, y solo manda las columnas del
+// registro borrado si la tabla tiene `replica identity full`. Las suscripciones
+// de este archivo escuchan DELETE sin filtro y descartan los que no correspondan.
+
+/** Tipos de reacción disponibles */
+export const REACTION_TYPES = [
+  { type: 'like', emoji: '👍', label: 'Me gusta' },
+  { type: 'love', emoji: '❤️', label: 'Me encanta' },
+  { type: 'useful', emoji: '💡', label: 'Útil' },
+  { type: 'wow', emoji: '😮', label: 'Sorprendente' }
+]
+
+/** Resumen vacío: { counts: { like: 0, ... }, total: 0, mine: [] } */
+export function emptyReactionSummary() {
+  return {
+    counts: Object.fromEntries(REACTION_TYPES.map(r => [r.type, 0])),
+    total: 0,
+    mine: []
+  }
+}
+
+/**
+ * Traer el resumen de reacciones de varios posts o comentarios.
+ * Las cantidades vienen agrupadas de la vista reaction_counts y las
+ * reacciones de userId se traen aparte.
+ * Retorna: { [targetId]: { counts, total, mine } } donde mine son los tipos
+ * con los que reaccionó userId.
+ */
+export async function fetchReactionSummaries(targetType, targetIds = [], userId = null) {
+  const summaries = Object.fromEntries(targetIds.map(id => [id, emptyReactionSummary()]))
+  if (!targetIds.length) return summaries
+
+  const [counts, mine] = await Promise.all([
+    supabase
+      .from('reaction_counts')
+      .select('target_id, type, count')
+      .eq('target_type', targetType)
+      .in('target_id', targetIds),
+    userId
+      ? supabase
+        .from('reactions')
+        .select('target_id, type')
+        .eq('target_type', targetType)
+        .eq('user_id', userId)
+        .in('target_id', targetIds)
+      : { data: [], error: null }
+  ])
+
+  if (counts.error || mine.error) {
+    console.error('[reactions.js fetchReactionSummaries] Error:', counts.error ?? mine.error)
+    throw counts.error ?? mine.error
+  }
+
+  for (const row of counts.data ?? []) {
+    const summary = summaries[row.target_id]
+    if (!summary || !(row.type in summary.counts)) continue
+
+    summary.counts[row.type] += row.count
+    summary.total += row.count
+  }
+
+  for (const row of mine.data ?? []) {
+    const summary = summaries[row.target_id]
+    if (summary && row.type in summary.counts) summary.mine.push(row.type)
+  }
+
+  return summaries
+}
+
+/** Traer el resumen de reacciones de un solo post o comentario */
+export async function fetchReactionSummary(targetType, targetId, userId = null) {
+  const summaries = await fetchReactionSummaries(targetType, [targetId], userId)
+  return summaries[targetId]
+}
+
+/**
+ * Agregar o quitar la reacción de un usuario.
+ * params: { targetType, targetId, postId, userId, type }
+ * Retorna true si la reacción quedó agregada, false si se quitó.
+ */
+export async function toggleReaction({ targetType, targetId, postId, userId, type }) {
+  if (!targetType || !targetId || !postId || !userId || !type) {
+    throw new Error('toggleReaction: targetType, targetId, postId, userId y type son requeridos')
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('reactions')
+    .select('id')
+    .eq('target_type', targetType)
+    .eq('target_id', targetId)
+    .eq('user_id', userId)
+    .eq('type', type)
+    .maybeSingle()
+
+  if (fetchError) {
+    console.error('[reactions.js toggleReaction] Error:', fetchError)
+    throw fetchError
+  }
+
+  if (existing) {
+    const { error } = await supabase.from('reactions').delete().eq('id', existing.id)
+    if (error) {
+      console.error('[reactions.js toggleReaction] Error al quitar:', error)
+      throw error
+    }
+    return false
+  }
+
+  const { error } = await supabase
+    .from('reactions')
+    .insert({ target_type: targetType, target_id: targetId, post_id: postId, user_id: userId, type })
+
+  if (error) {
+    console.error('[reactions.js toggleReaction] Error al agregar:', error)
+    throw error
+  }
+
+  return true
+}
+
+/**
+ * Arma un canal que escucha INSERT con el filtro dado y DELETE sin filtro
+ * (descartando con matchesRow los que no correspondan).
+ * callback recibe { eventType, newRow, oldRow }.
+ */
+function subscribeToReactions(channelName, filter, matchesRow, callback) {
+  const handle = (payload) => {
+    const row = payload.new?.target_id ? payload.new : payload.old
+    if (!row || !matchesRow(row)) return
+
+    try {
+      callback({
+        eventType: payload.eventType,
+        newRow: payload.new ?? null,
+        oldRow: payload.old ?? null
+      })
+    } catch (err) {
+      console.error('[reactions.js] callback error:', err)
+    }
+  }
+
+  const channel = supabase
+    .channel(channelName)
+    .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'reactions', filter }, handle)
+    .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'reactions' }, handle)
+    .subscribe()
+
+  return () => {
+    try {
+      channel.unsubscribe()
+    } catch (err) {
+      console.error('[reactions.js] unsubscribe error:', err)
+    }
+  }
+}
+
+/**
+ * Suscribirse a las reacciones de un post y de sus comentarios.
+ * Devuelve unsubscribe()
+ */
+export function subscribeToPostReactionsRealtime(postId, callback) {
+  if (!postId || typeof callback !== 'function') return () => {}
+
+  return subscribeToReactions(
+    `public:reactions:post_id=eq.${postId}`,
+    `post_id=eq.${postId}`,
+    row => String(row.post_id) === String(postId),
+    callback
+  )
+}
+
+/**
+ * Suscribirse a las reacciones de todos los posts (para el feed).
+ * Devuelve unsubscribe()
+ */
+export function subscribeToPostsReactionsRealtime(callback) {
+  if (typeof callback !== 'function') return () => {}
+
+  return subscribeToReactions(
+    'public:reactions:target_type=eq.post',
+    'target_type=eq.post',
+    row => row.target_type === 'post',
+    callback
+  )
+}
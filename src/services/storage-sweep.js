@@ -0,0 +1,141 @@
+// src/services/storage-sweep.js
+import { supabase } from './supabase.js'
+import { DEFAULT_BUCKET, POSTS_BUCKET, deleteFile, listFiles, pathFromPublicUrl } from './storage.js'
+import { LEGACY_IMAGE_COLUMNS } from './post-images.js'
+
+// Barrido de archivos huérfanos: archivos de los buckets públicos que ya no usa
+// ningún registro (subidas de posts que fallaron antes de que hubiera limpieza,
+// fotos de perfil reemplazadas, borrados del bucket que fallaron, etc.).
+//  - POSTS_BUCKET: los usan post_images.path y thumb_path, y en los posts de
+//    antes de la galería, posts.image_path_n y thumb_path_n (o las URLs de
+//    image_url_1 / image_url_2).
+//  - DEFAULT_BUCKET (avatars): los usa user_profiles.photo_path (o photo_url).
+// Los adjuntos del chat (PRIVATE_CHAT_BUCKET) se borran con su mensaje y no se barren.
+// Listar los buckets completos y borrar archivos ajenos lo permiten las
+// políticas de storage solo a los admins: se usa desde /admin/archivos.
+// Entre la búsqueda y el borrado puede pasar un rato: antes de borrar,
+// filterOrphanedFiles vuelve a revisar la base y descarta los que se empezaron a usar.
+
+/** Los archivos más nuevos que esto no se toman como huérfanos: pueden ser de una subida en curso */
+export const ORPHAN_MIN_AGE_MS = 60 * 60 * 1000
+
+/** Buckets que se barren y las tablas (con sus columnas) que usan sus archivos */
+const SWEEP_SOURCES = [
+  {
+    bucket: POSTS_BUCKET,
+    tables: [
+      { table: 'post_images', columns: ['path', 'thumb_path'] },
+      { table: 'posts', columns: LEGACY_IMAGE_COLUMNS }
+    ]
+  },
+  {
+    bucket: DEFAULT_BUCKET,
+    tables: [{ table: 'user_profiles', columns: ['photo_path', 'photo_url'] }]
+  },
+]
+
+const ROWS_PAGE_SIZE = 1000
+const DELETE_BATCH_SIZE = 100
+
+/**
+ * Agrega a paths los del bucket que usa alguna fila de la tabla.
+ * Pide páginas ordenadas por id hasta que una viene vacía (el servidor puede
+ * devolver menos filas que las pedidas aunque queden más).
+ */
+async function addReferencedPaths(paths, bucket, { table, columns }) {
+  for (let from = 0; ; ) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns.join(', '))
+      .order('id')
+      .range(from, from + ROWS_PAGE_SIZE - 1)
+
+    if (error) {
+      console.error('[storage-sweep.js addReferencedPaths] Error:', table, error)
+      throw error
+    }
+
+    if (!data.length) break
+    from += data.length
+
+    for (const row of data) {
+      for (const column of columns) {
+        const path = pathFromPublicUrl(row[column], bucket)
+        if (path) paths.add(path)
+      }
+    }
+  }
+}
+
+/** Paths del bucket que usa alguna fila de las tablas de SWEEP_SOURCES */
+async function fetchReferencedPaths(source) {
+  const referenced = new Set()
+  for (const table of source.tables) await addReferencedPaths(referenced, source.bucket, table)
+  return referenced
+}
+
+/**
+ * Buscar los archivos huérfanos de los buckets de posts y de avatars.
+ * opts: { minAgeMs } para ignorar los archivos más nuevos (ver ORPHAN_MIN_AGE_MS).
+ * Retorna: [{ bucket, path, size, created_at }]
+ */
+export async function findOrphanedFiles({ minAgeMs = ORPHAN_MIN_AGE_MS } = {}) {
+  const cutoff = Date.now() - minAgeMs
+  const orphaned = []
+
+  for (const source of SWEEP_SOURCES) {
+    const files = await listFiles(source.bucket)
+    const referenced = await fetchReferencedPaths(source)
+
+    for (const file of files) {
+      if (referenced.has(file.path)) continue
+      if (file.created_at && new Date(file.created_at).getTime() > cutoff) continue
+
+      orphaned.push({ bucket: source.bucket, ...file })
+    }
+  }
+
+  return orphaned
+}
+
+/**
+ * Volver a revisar en la base, justo antes de borrarlos, los archivos que
+ * devolvió findOrphanedFiles.
+ * Retorna los que siguen sin usarse.
+ */
+export async function filterOrphanedFiles(files = []) {
+  const orphaned = []
+
+  for (const source of SWEEP_SOURCES) {
+    const candidates = files.filter(file => file.bucket === source.bucket)
+    if (!candidates.length) continue
+
+    const referenced = await fetchReferencedPaths(source)
+    orphaned.push(...candidates.filter(file => !referenced.has(file.path)))
+  }
+
+  return orphaned
+}
+
+/**
+ * Borrar archivos (los que devuelve findOrphanedFiles), agrupados por bucket.
+ * Retorna la cantidad de archivos borrados.
+ */
+export async function deleteOrphanedFiles(files = []) {
+  const byBucket = new Map()
+  for (const { bucket, path } of files) {
+    if (!byBucket.has(bucket)) byBucket.set(bucket, [])
+    byBucket.get(bucket).push(path)
+  }
+
+  let deleted = 0
+  for (const [bucket, paths] of byBucket) {
+    for (let i = 0; i < paths.length; i += DELETE_BATCH_SIZE) {
+      const batch = paths.slice(i, i + DELETE_BATCH_SIZE)
+      await deleteFile(batch, bucket)
+      deleted += batch.length
+    }
+  }
+
+  return deleted
+}
@@ -1,9 +1,12 @@
 // src/services/storage.js
 import { supabase } from './supabase.js'
+import { AVATAR_MAX_SIZE, processImage } from '../helpers/image.js'
 
 // Buckets disponibles
 export const DEFAULT_BUCKET = 'avatars'
 export const POSTS_BUCKET = 'post-images'
+// Bucket privado: sus archivos solo se sirven con URLs firmadas (getSignedUrl)
+export const PRIVATE_CHAT_BUCKET = 'private-chat-files'
 
 /* -------------------------------------------------------------------------- */
 /*                                UTIL                                        */
@@ -62,14 +65,20 @@ export async function uploadFile(path, file, bucket = DEFAULT_BUCKET, options =
 /*                                 AVATAR UPLOAD                              */
 /* -------------------------------------------------------------------------- */
 
+/**
+ * Sube una foto de perfil, achicada y sin metadata (ver helpers/image.js).
+ * Retorna: { path, publicUrl }
+ */
 export async function uploadUserAvatar(file, userId, bucket = DEFAULT_BUCKET) {
   if (!file) throw new Error('uploadUserAvatar: file requerido')
   if (!userId) throw new Error('uploadUserAvatar: userId requerido')
 
-  const safeName = (file.name || 'avatar').replace(/\s+/g, '_')
+  const { image } = await processImage(file, { maxSize: AVATAR_MAX_SIZE })
+
+  const safeName = (image.name || 'avatar').replace(/\s+/g, '_')
   const path = `avatars/${userId}/${Date.now()}_${safeName}`
 
-  return uploadFile(path, file, bucket, { metadata: { owner_id: userId } })
+  return uploadFile(path, image, bucket, { metadata: { owner_id: userId } })
 }
 
 /* -------------------------------------------------------------------------- */
@@ -78,8 +87,12 @@ export async function uploadUserAvatar(file, userId, bucket = DEFAULT_BUCKET) {
 
 /**
  * uploadImageToStorage(file, opts)
- * opts: { bucket, userId, folder, metadata, upsert }
+ * opts: { bucket, userId, folder, metadata, upsert, process }
+ * process son las opciones de processImage (helpers/image.js): si viene, las
+ * imágenes se achican y pierden la metadata antes de subirse.
  * Auto-organiza rutas para posts y uploads.
+ * Retorna: { path, publicUrl, file } donde file es el archivo que se subió
+ * (el procesado, si se pidió process).
  */
 export async function uploadImageToStorage(file, opts = {}) {
   if (!file) throw new Error('uploadImageToStorage: file requerido')
@@ -91,6 +104,8 @@ export async function uploadImageToStorage(file, opts = {}) {
     return uploadUserAvatar(file, opts.userId, bucket)
   }
 
+  if (opts.process) file = (await processImage(file, opts.process)).image
+
   const safeName = (file.name || 'file').replace(/\s+/g, '_')
   const baseFolder = opts.folder ?? (bucket === POSTS_BUCKET ? 'post-files' : 'uploads')
   const folder = normalizeFolder(baseFolder)
@@ -100,10 +115,12 @@ export async function uploadImageToStorage(file, opts = {}) {
     .replace(/\/+/g, '/')
     .replace(/^\//, '')
 
-  return uploadFile(finalPath, file, bucket, {
+  const uploaded = await uploadFile(finalPath, file, bucket, {
     metadata: opts.metadata ?? {},
     upsert: !!opts.upsert
   })
+
+  return { ...uploaded, file }
 }
 
 /* -------------------------------------------------------------------------- */
@@ -142,13 +159,32 @@ export function getFileURL(pathOrUrl, bucket = DEFAULT_BUCKET) {
   return data?.publicUrl ?? null
 }
 
-export async function getSignedUrl(path, expiresSeconds = 60 * 60, bucket = DEFAULT_BUCKET) {
+/**
+ * Path dentro del bucket a partir de una URL pública (o de un path).
+ * Retorna null si la URL no es de ese bucket.
+ */
+export function pathFromPublicUrl(pathOrUrl, bucket = DEFAULT_BUCKET) {
+  if (!pathOrUrl) return null
+  if (!/^https?:\/\//i.test(pathOrUrl)) return normalizePath(pathOrUrl, bucket)
+
+  const marker = `/object/public/${bucket}/`
+  const index = pathOrUrl.indexOf(marker)
+  if (index === -1) return null
+
+  return decodeURIComponent(pathOrUrl.slice(index + marker.length).split('?')[0])
+}
+
+/**
+ * URL firmada (temporal) para archivos de buckets privados.
+ * options: { download } → nombre con el que se descarga el archivo
+ */
+export async function getSignedUrl(path, expiresSeconds = 60 * 60, bucket = DEFAULT_BUCKET, options = {}) {
   if (!path) throw new Error('getSignedUrl: path requerido')
 
   const safePath = normalizePath(path, bucket)
   const { data, error } = await supabase.storage
     .from(bucket)
-    .createSignedUrl(safePath, expiresSeconds)
+    .createSignedUrl(safePath, expiresSeconds, options)
 
   if (error) {
     console.error('[storage.getSignedUrl] Error:', error)
@@ -157,3 +193,45 @@ export async function getSignedUrl(path, expiresSeconds = 60 * 60, bucket = DEFA
 
   return data.signedUrl
 }
+
+/* -------------------------------------------------------------------------- */
+/*                                   LISTADO                                  */
+/* -------------------------------------------------------------------------- */
+
+const LIST_PAGE_SIZE = 1000
+
+/**
+ * Lista todos los archivos de un bucket (o de una carpeta), recorriendo las
+ * subcarpetas. Pide páginas hasta que una viene vacía (el servidor puede
+ * devolver menos de LIST_PAGE_SIZE aunque queden más).
+ * Retorna: [{ path, size, created_at }]
+ */
+export async function listFiles(bucket = DEFAULT_BUCKET, folder = '') {
+  const files = []
+
+  for (let offset = 0; ; ) {
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .list(folder, { limit: LIST_PAGE_SIZE, offset, sortBy: { column: 'name', order: 'asc' } })
+
+    if (error) {
+      console.error('[storage.listFiles] Error al listar:', bucket, folder, error)
+      throw error
+    }
+
+    if (!data.length) break
+    offset += data.length
+
+    for (const item of data) {
+      const path = folder ? `${folder}/${item.name}` : item.name
+
+      // Las carpetas vienen sin id; el placeholder lo crea el dashboard de Supabase
+      if (item.id === null) files.push(...await listFiles(bucket, path))
+      else if (item.name !== '.emptyFolderPlaceholder') {
+        files.push({ path, size: item.metadata?.size ?? null, created_at: item.created_at })
+      }
+    }
+  }
+
+  return files
+}
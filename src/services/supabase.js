@@ -6,7 +6,7 @@
 import { createClient } from '@supabase/supabase-js';
 
 // Definimos variables para las claves de supabase.
-const SUPABASE_URL = 'https://vxwmcrdupntjindgjqnj.supabase.co';
-const SUPABASE_KEY = 'sb_publishable_HdxnxO1f8IeeCXJ29UjmaA_utolCDvI';
+export const SUPABASE_URL = 'https://vxwmcrdupntjindgjqnj.supabase.co';
+export const SUPABASE_KEY = 'sb_publishable_HdxnxO1f8IeeCXJ29UjmaA_utolCDvI';
 
 export const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
\ No newline at end of file
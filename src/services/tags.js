@@ -0,0 +1,169 @@
+// src/services/tags.js
+import { supabase } from './supabase.js'
+
+// Tablas:
+//  - tags: { id, name, slug (único), created_at }
+//  - post_tags: { post_id, tag_id } (PK compuesta, FKs a posts y tags)
+
+/** Máximo de tags por post */
+export const MAX_TAGS_PER_POST = 5
+
+/**
+ * Convierte un nombre de tag en slug para la URL.
+ * Ej: "Curly Hair" → "curly-hair", "Acné" → "acne"
+ */
+export function slugifyTag(name = '') {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+/** Limpia el nombre que escribió el usuario (espacios y # inicial) */
+export function normalizeTagName(name = '') {
+  return name.replace(/^#+/, '').replace(/\s+/g, ' ').trim().toLowerCase()
+}
+
+/**
+ * Tags de un post para mostrar. La columna vieja theme ya se pasó a tags
+ * (ver supabase/migrations/*_backfill_post_tags_from_theme.sql).
+ */
+export function getPostTags(post) {
+  return post?.tags ?? []
+}
+
+/** Traer todos los tags ordenados por nombre */
+export async function fetchTags() {
+  const { data, error } = await supabase
+    .from('tags')
+    .select('id, name, slug')
+    .order('name', { ascending: true })
+
+  if (error) {
+    console.error('[tags.js fetchTags] Error:', error)
+    throw error
+  }
+
+  return data ?? []
+}
+
+/**
+ * Sugerencias para el autocompletado: tags cuyo nombre contiene el texto,
+ * primero los que empiezan con él.
+ */
+export async function searchTags(text, limit = 8) {
+  const name = normalizeTagName(text)
+  if (!name) return []
+
+  const { data, error } = await supabase
+    .from('tags')
+    .select('id, name, slug')
+    .ilike('name', `%${name}%`)
+    .order('name', { ascending: true })
+    .limit(limit * 2)
+
+  if (error) {
+    console.error('[tags.js searchTags] Error:', error)
+    throw error
+  }
+
+  // Primero los que empiezan con el texto buscado
+  return (data ?? [])
+    .sort((a, b) => Number(!a.name.startsWith(name)) - Number(!b.name.startsWith(name)))
+    .slice(0, limit)
+}
+
+/** Traer un tag por su slug */
+export async function fetchTagBySlug(slug) {
+  if (!slug) return null
+
+  const { data, error } = await supabase
+    .from('tags')
+    .select('id, name, slug')
+    .eq('slug', slug)
+    .maybeSingle()
+
+  if (error) {
+    console.error('[tags.js fetchTagBySlug] Error:', error)
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Devuelve los tags con esos nombres, creando los que no existen.
+ * Retorna: [{ id, name, slug }]
+ */
+export async function fetchOrCreateTags(names = []) {
+  const rows = []
+  const slugs = new Set()
+
+  for (const raw of names) {
+    const name = normalizeTagName(raw)
+    const slug = slugifyTag(name)
+    if (!slug || slugs.has(slug)) continue
+    slugs.add(slug)
+    rows.push({ name, slug })
+  }
+
+  if (!rows.length) return []
+
+  // ignoreDuplicates: un tag existente conserva su nombre original
+  const { error: upsertError } = await supabase
+    .from('tags')
+    .upsert(rows, { onConflict: 'slug', ignoreDuplicates: true })
+
+  if (upsertError) {
+    console.error('[tags.js fetchOrCreateTags] Error al crear tags:', upsertError)
+    throw upsertError
+  }
+
+  const { data, error } = await supabase
+    .from('tags')
+    .select('id, name, slug')
+    .in('slug', [...slugs])
+
+  if (error) {
+    console.error('[tags.js fetchOrCreateTags] Error al traer tags:', error)
+    throw error
+  }
+
+  return data ?? []
+}
+
+/**
+ * Reemplaza los tags de un post por los de la lista de nombres.
+ * Retorna los tags asignados.
+ */
+export async function setPostTags(postId, names = []) {
+  if (!postId) throw new Error('setPostTags: postId es requerido')
+
+  const tags = (await fetchOrCreateTags(names)).slice(0, MAX_TAGS_PER_POST)
+
+  const { error: deleteError } = await supabase
+    .from('post_tags')
+    .delete()
+    .eq('post_id', postId)
+
+  if (deleteError) {
+    console.error('[tags.js setPostTags] Error al limpiar tags:', deleteError)
+    throw deleteError
+  }
+
+  if (!tags.length) return []
+
+  const { error } = await supabase
+    .from('post_tags')
+    .insert(tags.map(tag => ({ post_id: postId, tag_id: tag.id })))
+
+  if (error) {
+    console.error('[tags.js setPostTags] Error al asignar tags:', error)
+    throw error
+  }
+
+  return tags
+}
@@ -2,6 +2,35 @@ import { supabase } from "./supabase";
 
 // funciones que tengan que ver con el manejo de las tablas de usuario./**
 //  *
+
+// Columnas de user_profiles para moderación:
+//  - role: 'member' (por defecto), 'moderator' o 'admin'.
+//  - suspended_at / suspension_reason: null si la cuenta no está suspendida.
+// Un usuario no puede cambiar su propio role ni la suspensión: solo se cambian
+// con las funciones de moderación de la base, que dejan cambiar role a los
+// admins y la suspensión al equipo de moderación (ver admin.js).
+
+/** Roles de los usuarios, de menor a mayor permiso */
+export const USER_ROLES = ['member', 'moderator', 'admin'];
+
+/** Nombres de los roles para mostrar */
+export const USER_ROLE_LABELS = {
+    member: 'Miembro',
+    moderator: 'Moderador/a',
+    admin: 'Admin',
+};
+
+/**
+ * Saber si un perfil tiene al menos un rol (un admin también es moderador).
+ * @param {Object} profile perfil con role (sin role se toma como 'member')
+ * @param {string} role
+ * @returns {boolean}
+ */
+export function hasRole(profile, role) {
+    if(!USER_ROLES.includes(role)) return false;
+    return USER_ROLES.indexOf(profile?.role ?? 'member') >= USER_ROLES.indexOf(role);
+}
+
 /**
  * Llamar perfil de un usuario por su ID.
  * @param {string} id
@@ -57,3 +86,28 @@ export async function updateUserProfile(id, data) {
         throw new Error(error.message);
     }
 }
+
+/**
+ * Buscar usuarios por nombre o email (para agregarlos a un grupo, por ejemplo).
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Promise<Array>} Perfiles encontrados
+ */
+export async function searchUserProfiles(query, limit = 10) {
+    // Sacamos los caracteres que rompen el filtro "or" de PostgREST.
+    const term = (query ?? '').replace(/[,()%*]/g, ' ').trim();
+    if(!term) return [];
+
+    const { data, error } = await supabase
+        .from('user_profiles')
+        .select()
+        .or(`display_name.ilike.%${term}%,email.ilike.%${term}%`)
+        .limit(limit);
+
+    if(error) {
+        console.error('[user.js searchUserProfiles] Error al buscar usuarios:', query, error);
+        throw new Error(error.message);
+    }
+
+    return data;
+}
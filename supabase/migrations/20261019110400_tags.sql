@@ -0,0 +1,49 @@
+-- Tags de los posts (ver src/services/tags.js).
+-- Reemplazan la columna posts.theme, que queda para los posts viejos hasta que
+-- se pasan a tags (ver *_backfill_post_tags_from_theme.sql).
+--  - tags: { id, name, slug (único), created_at }. El slug es el de la URL
+--    /tag/<slug> (ver slugifyTag).
+--  - post_tags: { post_id, tag_id } con PK compuesta; las FKs permiten traer
+--    los tags embebidos en el select de posts.
+-- Todos pueden leer los tags. Cualquier usuario logueado puede crear tags
+-- nuevos, y solo el autor del post puede cambiar sus tags.
+
+create table if not exists public.tags (
+    id bigint generated by default as identity primary key,
+    name text not null check (name <> ''),
+    slug text not null unique check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+    created_at timestamptz not null default now()
+);
+
+create table if not exists public.post_tags (
+    post_id bigint not null references public.posts (id) on delete cascade,
+    tag_id bigint not null references public.tags (id) on delete cascade,
+    primary key (post_id, tag_id)
+);
+
+create index if not exists post_tags_tag_id_idx on public.post_tags (tag_id);
+
+alter table public.tags enable row level security;
+alter table public.post_tags enable row level security;
+
+drop policy if exists "Tags: todos leen" on public.tags;
+create policy "Tags: todos leen" on public.tags
+    for select using (true);
+
+drop policy if exists "Tags: los usuarios crean" on public.tags;
+create policy "Tags: los usuarios crean" on public.tags
+    for insert to authenticated with check (true);
+
+drop policy if exists "Tags de posts: todos leen" on public.post_tags;
+create policy "Tags de posts: todos leen" on public.post_tags
+    for select using (true);
+
+drop policy if exists "Tags de posts: el autor agrega" on public.post_tags;
+create policy "Tags de posts: el autor agrega" on public.post_tags
+    for insert to authenticated
+    with check (exists (select 1 from public.posts p where p.id = post_id and p.sender_id = auth.uid()));
+
+drop policy if exists "Tags de posts: el autor quita" on public.post_tags;
+create policy "Tags de posts: el autor quita" on public.post_tags
+    for delete to authenticated
+    using (exists (select 1 from public.posts p where p.id = post_id and p.sender_id = auth.uid()));
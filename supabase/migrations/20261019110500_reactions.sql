@@ -0,0 +1,69 @@
+-- Reacciones a posts y comentarios (ver src/services/reactions.js).
+-- reactions: { id, user_id, target_type: 'post'|'comment', target_id, post_id, type, created_at }
+--  - una por usuario, contenido y tipo.
+--  - post_id es el post de la reacción (el mismo post o el del comentario):
+--    con él una sola suscripción en tiempo real cubre un post y sus
+--    comentarios, y las reacciones se borran en cascada con el post.
+--  - type: los de REACTION_TYPES.
+-- Todos pueden leer las reacciones; cada usuario agrega y quita solo las suyas.
+-- replica identity full: los DELETE en tiempo real traen la fila completa
+-- (target_type, target_id y post_id), que la app usa para descartarlos.
+
+create table if not exists public.reactions (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    target_type text not null check (target_type in ('post', 'comment')),
+    target_id bigint not null,
+    post_id bigint not null references public.posts (id) on delete cascade,
+    type text not null check (type in ('like', 'love', 'useful', 'wow')),
+    created_at timestamptz not null default now(),
+    unique (user_id, target_type, target_id, type),
+    check (target_type <> 'post' or target_id = post_id)
+);
+
+create index if not exists reactions_target_idx on public.reactions (target_type, target_id);
+create index if not exists reactions_post_id_idx on public.reactions (post_id);
+
+alter table public.reactions replica identity full;
+alter table public.reactions enable row level security;
+
+drop policy if exists "Reacciones: todos leen" on public.reactions;
+create policy "Reacciones: todos leen" on public.reactions
+    for select using (true);
+
+drop policy if exists "Reacciones: cada usuario agrega las suyas" on public.reactions;
+create policy "Reacciones: cada usuario agrega las suyas" on public.reactions
+    for insert to authenticated with check (user_id = auth.uid());
+
+drop policy if exists "Reacciones: cada usuario quita las suyas" on public.reactions;
+create policy "Reacciones: cada usuario quita las suyas" on public.reactions
+    for delete to authenticated using (user_id = auth.uid());
+
+-- target_id no tiene FK (puede ser un post o un comentario): las reacciones de
+-- un comentario se borran con él.
+create or replace function public.delete_comment_reactions()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    delete from reactions where target_type = 'comment' and target_id = old.id;
+    return old;
+end;
+$$;
+
+drop trigger if exists delete_comment_reactions on public.comments;
+create trigger delete_comment_reactions after delete on public.comments
+    for each row execute function public.delete_comment_reactions();
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'reactions'
+    ) then
+        alter publication supabase_realtime add table public.reactions;
+    end if;
+end;
+$$;
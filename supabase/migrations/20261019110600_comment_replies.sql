@@ -0,0 +1,30 @@
+-- Respuestas a comentarios (ver src/helpers/comment-tree.js).
+-- comments.parent_id: el comentario respondido (null en los comentarios raíz).
+-- Al borrar un comentario se borran sus respuestas, y una respuesta tiene que
+-- ser del mismo post que el comentario que responde.
+
+alter table public.comments
+    add column if not exists parent_id bigint references public.comments (id) on delete cascade;
+
+create index if not exists comments_parent_id_idx on public.comments (parent_id, created_at, id);
+
+create or replace function public.check_comment_parent()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.parent_id is not null and not exists (
+        select 1 from comments c where c.id = new.parent_id and c.post_id = new.post_id
+    ) then
+        raise exception 'La respuesta tiene que ser del mismo post que el comentario.' using errcode = '23503';
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists check_comment_parent on public.comments;
+create trigger check_comment_parent before insert or update of parent_id, post_id on public.comments
+    for each row execute function public.check_comment_parent();
@@ -0,0 +1,59 @@
+-- Cantidad de reacciones de cada comentario, para el orden "popular" y su
+-- cursor (ver applyCommentsOrder en src/services/comments.js).
+-- comments.reactions_count la mantiene un trigger sobre reactions; desde la
+-- API no se puede cambiar (al insertar o editar un comentario se ignora).
+
+alter table public.comments
+    add column if not exists reactions_count integer not null default 0;
+
+update public.comments c
+set reactions_count = counts.count
+from (
+    select target_id, count(*)::integer as count
+    from public.reactions
+    where target_type = 'comment'
+    group by target_id
+) as counts
+where counts.target_id = c.id;
+
+create index if not exists comments_popular_idx
+    on public.comments (post_id, reactions_count desc, created_at desc, id desc)
+    where parent_id is null;
+
+create or replace function public.update_comment_reactions_count()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if tg_op = 'INSERT' and new.target_type = 'comment' then
+        update comments set reactions_count = reactions_count + 1 where id = new.target_id;
+    elsif tg_op = 'DELETE' and old.target_type = 'comment' then
+        update comments set reactions_count = greatest(reactions_count - 1, 0) where id = old.target_id;
+    end if;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists update_comment_reactions_count on public.reactions;
+create trigger update_comment_reactions_count after insert or delete on public.reactions
+    for each row execute function public.update_comment_reactions_count();
+
+create or replace function public.guard_comment_reactions_count()
+returns trigger
+language plpgsql
+as $$
+begin
+    if current_user in ('anon', 'authenticated') then
+        new.reactions_count := case when tg_op = 'INSERT' then 0 else old.reactions_count end;
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists guard_comment_reactions_count on public.comments;
+create trigger guard_comment_reactions_count before insert or update on public.comments
+    for each row execute function public.guard_comment_reactions_count();
@@ -0,0 +1,49 @@
+-- Lecturas de los chats privados, para contar los mensajes sin leer de la
+-- bandeja (ver src/services/private-chat.js).
+-- private_chat_reads: { chat_id, user_id, last_read_at } con PK compuesta
+-- (chat_id, user_id). Un mensaje está sin leer si es de otro participante y
+-- es posterior a last_read_at.
+-- Cada usuario lee y graba solo sus lecturas, y solo de chats en los que participa.
+
+-- Si quien llama participa del chat. Es security definer para poder usarla en
+-- las políticas de otras tablas sin depender de las de private_chats.
+create or replace function public.is_chat_participant(p_chat_id bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from private_chats c
+        where c.id = p_chat_id and auth.uid() in (c.user_id1, c.user_id2)
+    );
+$$;
+
+create table if not exists public.private_chat_reads (
+    chat_id bigint not null references public.private_chats (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    last_read_at timestamptz not null default now(),
+    primary key (chat_id, user_id)
+);
+
+-- Último mensaje y mensajes sin leer de cada chat.
+create index if not exists private_chat_messages_chat_created_idx
+    on public.private_chat_messages (chat_id, created_at desc);
+
+alter table public.private_chat_reads enable row level security;
+
+drop policy if exists "Lecturas: cada usuario lee las suyas" on public.private_chat_reads;
+create policy "Lecturas: cada usuario lee las suyas" on public.private_chat_reads
+    for select to authenticated using (user_id = auth.uid());
+
+drop policy if exists "Lecturas: cada usuario graba las suyas" on public.private_chat_reads;
+create policy "Lecturas: cada usuario graba las suyas" on public.private_chat_reads
+    for insert to authenticated
+    with check (user_id = auth.uid() and public.is_chat_participant(chat_id));
+
+drop policy if exists "Lecturas: cada usuario actualiza las suyas" on public.private_chat_reads;
+create policy "Lecturas: cada usuario actualiza las suyas" on public.private_chat_reads
+    for update to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid() and public.is_chat_participant(chat_id));
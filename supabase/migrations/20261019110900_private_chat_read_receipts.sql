@@ -0,0 +1,18 @@
+-- Indicadores de "visto" (ver fetchChatLastReadAt y subscribeToChatReads en
+-- src/services/private-chat.js): los participantes de un chat pueden leer
+-- hasta cuándo leyeron los demás, y los cambios llegan en tiempo real.
+
+drop policy if exists "Lecturas: los participantes leen las del chat" on public.private_chat_reads;
+create policy "Lecturas: los participantes leen las del chat" on public.private_chat_reads
+    for select to authenticated using (public.is_chat_participant(chat_id));
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'private_chat_reads'
+    ) then
+        alter publication supabase_realtime add table public.private_chat_reads;
+    end if;
+end;
+$$;
@@ -0,0 +1,21 @@
+-- Última conexión de cada usuario (ver la presencia en src/services/private-chat.js).
+-- user_profiles.last_seen_at la actualiza touch_last_seen con la hora del
+-- servidor: al entrar, cada minuto mientras el usuario está en línea y al
+-- cerrar la página (con un fetch keepalive, que el navegador completa aunque
+-- la página ya no exista).
+
+alter table public.user_profiles
+    add column if not exists last_seen_at timestamptz;
+
+create or replace function public.touch_last_seen()
+returns void
+language sql
+volatile
+security definer
+set search_path = public
+as $$
+    update user_profiles set last_seen_at = now() where id = auth.uid();
+$$;
+
+revoke execute on function public.touch_last_seen() from public, anon;
+grant execute on function public.touch_last_seen() to authenticated;
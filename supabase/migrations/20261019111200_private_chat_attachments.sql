@@ -0,0 +1,51 @@
+-- Adjuntos de los mensajes privados (ver src/services/private-chat.js).
+-- Columnas de private_chat_messages (null si el mensaje no tiene adjunto):
+-- attachment_path, attachment_name, attachment_type y attachment_size, del
+-- archivo que se subió.
+-- Los archivos van al bucket privado private-chat-files, en
+-- "<chat_id>/<sender_id>/<archivo>": solo los participantes del chat pueden
+-- leerlos (con URLs firmadas), cada uno sube en su carpeta y borra lo suyo.
+
+alter table public.private_chat_messages
+    add column if not exists attachment_path text,
+    add column if not exists attachment_name text,
+    add column if not exists attachment_type text,
+    add column if not exists attachment_size bigint;
+
+-- Igual que PRIVATE_CHAT_MAX_ATTACHMENT_SIZE.
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('private-chat-files', 'private-chat-files', false, 10485760)
+on conflict (id) do nothing;
+
+-- Si quien llama participa del chat de la carpeta (el primer segmento del path).
+create or replace function public.is_chat_folder_participant(p_object_name text)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+    select case
+        when (storage.foldername(p_object_name))[1] ~ '^[0-9]+$'
+            then public.is_chat_participant(((storage.foldername(p_object_name))[1])::bigint)
+        else false
+    end;
+$$;
+
+drop policy if exists "Adjuntos del chat: los participantes leen" on storage.objects;
+create policy "Adjuntos del chat: los participantes leen" on storage.objects
+    for select to authenticated
+    using (bucket_id = 'private-chat-files' and public.is_chat_folder_participant(name));
+
+drop policy if exists "Adjuntos del chat: los participantes suben en su carpeta" on storage.objects;
+create policy "Adjuntos del chat: los participantes suben en su carpeta" on storage.objects
+    for insert to authenticated
+    with check (
+        bucket_id = 'private-chat-files'
+        and (storage.foldername(name))[2] = auth.uid()::text
+        and public.is_chat_folder_participant(name)
+    );
+
+drop policy if exists "Adjuntos del chat: cada usuario borra los suyos" on storage.objects;
+create policy "Adjuntos del chat: cada usuario borra los suyos" on storage.objects
+    for delete to authenticated
+    using (bucket_id = 'private-chat-files' and (storage.foldername(name))[2] = auth.uid()::text);
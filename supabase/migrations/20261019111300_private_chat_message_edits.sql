@@ -0,0 +1,69 @@
+-- Editar, borrar y reaccionar a mensajes privados (ver src/services/private-chat.js).
+--  - private_chat_messages.edited_at: cuándo se editó por última vez (null si nunca).
+--    Cada participante puede editar y borrar solo sus mensajes.
+--  - private_chat_message_reactions: { id, message_id, chat_id, user_id, type, created_at },
+--    una por usuario, mensaje y tipo (los de REACTION_TYPES), y se borran con
+--    el mensaje. chat_id es el del mensaje, para escucharlas en tiempo real
+--    por conversación. Las ven los participantes del chat y cada uno agrega y
+--    quita solo las suyas.
+
+alter table public.private_chat_messages
+    add column if not exists edited_at timestamptz;
+
+drop policy if exists "Mensajes: cada participante edita los suyos" on public.private_chat_messages;
+create policy "Mensajes: cada participante edita los suyos" on public.private_chat_messages
+    for update to authenticated
+    using (sender_id = auth.uid())
+    with check (sender_id = auth.uid() and public.is_chat_participant(chat_id));
+
+drop policy if exists "Mensajes: cada participante borra los suyos" on public.private_chat_messages;
+create policy "Mensajes: cada participante borra los suyos" on public.private_chat_messages
+    for delete to authenticated
+    using (sender_id = auth.uid());
+
+create table if not exists public.private_chat_message_reactions (
+    id bigint generated by default as identity primary key,
+    message_id bigint not null references public.private_chat_messages (id) on delete cascade,
+    chat_id bigint not null references public.private_chats (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    type text not null check (type in ('like', 'love', 'useful', 'wow')),
+    created_at timestamptz not null default now(),
+    unique (message_id, user_id, type)
+);
+
+create index if not exists private_chat_message_reactions_chat_id_idx
+    on public.private_chat_message_reactions (chat_id);
+
+alter table public.private_chat_message_reactions enable row level security;
+
+drop policy if exists "Reacciones a mensajes: los participantes leen" on public.private_chat_message_reactions;
+create policy "Reacciones a mensajes: los participantes leen" on public.private_chat_message_reactions
+    for select to authenticated using (public.is_chat_participant(chat_id));
+
+drop policy if exists "Reacciones a mensajes: cada participante agrega las suyas" on public.private_chat_message_reactions;
+create policy "Reacciones a mensajes: cada participante agrega las suyas" on public.private_chat_message_reactions
+    for insert to authenticated
+    with check (
+        user_id = auth.uid()
+        and public.is_chat_participant(chat_id)
+        and exists (select 1 from public.private_chat_messages m where m.id = message_id and m.chat_id = chat_id)
+    );
+
+drop policy if exists "Reacciones a mensajes: cada participante quita las suyas" on public.private_chat_message_reactions;
+create policy "Reacciones a mensajes: cada participante quita las suyas" on public.private_chat_message_reactions
+    for delete to authenticated using (user_id = auth.uid());
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['private_chat_messages', 'private_chat_message_reactions'] loop
+        if not exists (
+            select 1 from pg_publication_tables
+            where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t
+        ) then
+            execute format('alter publication supabase_realtime add table public.%I', t);
+        end if;
+    end loop;
+end;
+$$;
@@ -0,0 +1,116 @@
+-- Chats grupales (ver src/services/group-chat.js).
+-- Un grupo es un registro de private_chats con is_group = true, un nombre
+-- (name) y quién lo creó (created_by); user_id1 y user_id2 quedan en null.
+-- private_chat_members: { chat_id, user_id, added_by, created_at } con PK
+-- compuesta (chat_id, user_id).
+-- Los mensajes, adjuntos, reacciones y lecturas de los grupos usan las mismas
+-- tablas y políticas que los chats de a dos, con is_chat_participant, que
+-- ahora también cuenta a los participantes de los grupos.
+-- Los grupos y sus participantes solo se crean con funciones de la base
+-- (create_group_chat y add_group_chat_members), que controlan el máximo de
+-- participantes. Cualquier participante puede renombrar el grupo y sacar a
+-- otro participante (o salir).
+
+alter table public.private_chats
+    add column if not exists is_group boolean not null default false,
+    add column if not exists name text,
+    add column if not exists created_by uuid references auth.users (id) on delete set null,
+    alter column user_id1 drop not null,
+    alter column user_id2 drop not null;
+
+alter table public.private_chats
+    drop constraint if exists private_chats_kind_check;
+alter table public.private_chats
+    add constraint private_chats_kind_check check (
+        (is_group and name is not null and user_id1 is null and user_id2 is null)
+        or (not is_group and user_id1 is not null and user_id2 is not null)
+    );
+
+create table if not exists public.private_chat_members (
+    chat_id bigint not null references public.private_chats (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    added_by uuid references auth.users (id) on delete set null,
+    created_at timestamptz not null default now(),
+    primary key (chat_id, user_id)
+);
+
+create index if not exists private_chat_members_user_id_idx on public.private_chat_members (user_id);
+
+create or replace function public.is_chat_participant(p_chat_id bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from private_chats c
+        where c.id = p_chat_id and not c.is_group and auth.uid() in (c.user_id1, c.user_id2)
+    ) or exists (
+        select 1 from private_chat_members m
+        where m.chat_id = p_chat_id and m.user_id = auth.uid()
+    );
+$$;
+
+-- ---------------------------------------------------------------------------
+-- private_chats
+
+drop policy if exists "Chats: los participantes leen" on public.private_chats;
+create policy "Chats: los participantes leen" on public.private_chats
+    for select to authenticated using (public.is_chat_participant(id));
+
+-- Desde la API solo se crean chats de a dos en los que participa quien los crea.
+drop policy if exists "Chats: los grupos se crean con create_group_chat" on public.private_chats;
+create policy "Chats: los grupos se crean con create_group_chat" on public.private_chats
+    as restrictive for insert to authenticated
+    with check (not is_group and auth.uid() in (user_id1, user_id2));
+
+-- Renombrar: lo único que se puede cambiar desde la API.
+revoke update on public.private_chats from anon, authenticated;
+grant update (name) on public.private_chats to authenticated;
+
+drop policy if exists "Chats: los participantes renombran el grupo" on public.private_chats;
+create policy "Chats: los participantes renombran el grupo" on public.private_chats
+    for update to authenticated
+    using (is_group and public.is_chat_participant(id))
+    with check (is_group and char_length(trim(name)) between 1 and 80);
+
+-- ---------------------------------------------------------------------------
+-- private_chat_messages
+
+drop policy if exists "Mensajes: los participantes leen" on public.private_chat_messages;
+create policy "Mensajes: los participantes leen" on public.private_chat_messages
+    for select to authenticated using (public.is_chat_participant(chat_id));
+
+drop policy if exists "Mensajes: los participantes envían" on public.private_chat_messages;
+create policy "Mensajes: los participantes envían" on public.private_chat_messages
+    for insert to authenticated
+    with check (sender_id = auth.uid() and public.is_chat_participant(chat_id));
+
+-- ---------------------------------------------------------------------------
+-- private_chat_members (sin política de insert: se agregan con las funciones)
+
+alter table public.private_chat_members enable row level security;
+
+drop policy if exists "Participantes: los participantes leen" on public.private_chat_members;
+create policy "Participantes: los participantes leen" on public.private_chat_members
+    for select to authenticated using (public.is_chat_participant(chat_id));
+
+drop policy if exists "Participantes: los participantes sacan" on public.private_chat_members;
+create policy "Participantes: los participantes sacan" on public.private_chat_members
+    for delete to authenticated using (public.is_chat_participant(chat_id));
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array['private_chats', 'private_chat_members'] loop
+        if not exists (
+            select 1 from pg_publication_tables
+            where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t
+        ) then
+            execute format('alter publication supabase_realtime add table public.%I', t);
+        end if;
+    end loop;
+end;
+$$;
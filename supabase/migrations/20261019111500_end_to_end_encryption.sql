@@ -0,0 +1,30 @@
+-- Cifrado de punta a punta de los mensajes privados (ver src/services/e2ee.js).
+--  - user_profiles.public_key: la clave pública ECDH del usuario (JWK en
+--    texto); null si no activó el cifrado.
+--  - private_chat_messages.encrypted: true si content está cifrado
+--    ("<iv en base64>:<texto cifrado en base64>").
+--  - user_key_backups: { user_id, encrypted_key, salt, iv, updated_at }, el
+--    respaldo de la clave privada cifrado con la frase del usuario. Solo lo
+--    ve y lo cambia su dueño.
+
+alter table public.user_profiles
+    add column if not exists public_key text;
+
+alter table public.private_chat_messages
+    add column if not exists encrypted boolean not null default false;
+
+create table if not exists public.user_key_backups (
+    user_id uuid primary key references auth.users (id) on delete cascade,
+    encrypted_key text not null,
+    salt text not null,
+    iv text not null,
+    updated_at timestamptz not null default now()
+);
+
+alter table public.user_key_backups enable row level security;
+
+drop policy if exists "Respaldos de claves: solo su dueño" on public.user_key_backups;
+create policy "Respaldos de claves: solo su dueño" on public.user_key_backups
+    for all to authenticated
+    using (user_id = auth.uid())
+    with check (user_id = auth.uid());
@@ -0,0 +1,58 @@
+-- Centro de notificaciones (ver src/services/notifications.js).
+-- notifications: { id, user_id, actor_id, type, post_id, comment_id, chat_id, message_id, read_at, created_at }
+--  - user_id recibe la notificación y actor_id la generó.
+--  - type: los de NOTIFICATION_TYPES.
+--  - las referencias al contenido se borran en cascada con él.
+-- Las crea el cliente de quien hace la acción, solo a su nombre. El
+-- destinatario las lee, las borra y solo puede cambiar read_at.
+
+create table if not exists public.notifications (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    actor_id uuid not null references auth.users (id) on delete cascade,
+    type text not null check (type in ('comment', 'reply', 'mention', 'message')),
+    post_id bigint references public.posts (id) on delete cascade,
+    comment_id bigint references public.comments (id) on delete cascade,
+    chat_id bigint references public.private_chats (id) on delete cascade,
+    message_id bigint references public.private_chat_messages (id) on delete cascade,
+    read_at timestamptz,
+    created_at timestamptz not null default now(),
+    check (user_id <> actor_id)
+);
+
+create index if not exists notifications_user_id_created_at_idx
+    on public.notifications (user_id, created_at desc, id desc);
+create index if not exists notifications_unread_idx
+    on public.notifications (user_id) where read_at is null;
+
+alter table public.notifications enable row level security;
+
+drop policy if exists "Notificaciones: el destinatario las lee" on public.notifications;
+create policy "Notificaciones: el destinatario las lee" on public.notifications
+    for select to authenticated using (user_id = auth.uid());
+
+drop policy if exists "Notificaciones: cada usuario crea las suyas como actor" on public.notifications;
+create policy "Notificaciones: cada usuario crea las suyas como actor" on public.notifications
+    for insert to authenticated with check (actor_id = auth.uid());
+
+drop policy if exists "Notificaciones: el destinatario las marca como leídas" on public.notifications;
+create policy "Notificaciones: el destinatario las marca como leídas" on public.notifications
+    for update to authenticated using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists "Notificaciones: el destinatario las borra" on public.notifications;
+create policy "Notificaciones: el destinatario las borra" on public.notifications
+    for delete to authenticated using (user_id = auth.uid());
+
+revoke update on public.notifications from anon, authenticated;
+grant update (read_at) on public.notifications to authenticated;
+
+do $$
+begin
+    if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'notifications'
+    ) then
+        alter publication supabase_realtime add table public.notifications;
+    end if;
+end;
+$$;
@@ -0,0 +1,16 @@
+-- Menciones en publicaciones y comentarios (ver src/helpers/mentions.js).
+-- posts.mentions y comments.mentions: [{ id, name }], vacío si no hay menciones.
+
+alter table public.posts
+    add column if not exists mentions jsonb not null default '[]'::jsonb;
+
+alter table public.comments
+    add column if not exists mentions jsonb not null default '[]'::jsonb;
+
+alter table public.posts drop constraint if exists posts_mentions_check;
+alter table public.posts
+    add constraint posts_mentions_check check (jsonb_typeof(mentions) = 'array');
+
+alter table public.comments drop constraint if exists comments_mentions_check;
+alter table public.comments
+    add constraint comments_mentions_check check (jsonb_typeof(mentions) = 'array');
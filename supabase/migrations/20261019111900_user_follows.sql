@@ -0,0 +1,28 @@
+-- Seguir usuarios (ver src/services/follows.js).
+-- user_follows: { follower_id, following_id, created_at }; follower_id sigue a following_id.
+-- Todos pueden leer los seguimientos; cada usuario agrega y borra solo los suyos.
+
+create table if not exists public.user_follows (
+    follower_id uuid not null references auth.users (id) on delete cascade,
+    following_id uuid not null references auth.users (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    primary key (follower_id, following_id),
+    check (follower_id <> following_id)
+);
+
+create index if not exists user_follows_following_id_idx on public.user_follows (following_id, created_at desc);
+create index if not exists user_follows_follower_id_created_at_idx on public.user_follows (follower_id, created_at desc);
+
+alter table public.user_follows enable row level security;
+
+drop policy if exists "Seguimientos: todos leen" on public.user_follows;
+create policy "Seguimientos: todos leen" on public.user_follows
+    for select using (true);
+
+drop policy if exists "Seguimientos: cada usuario agrega los suyos" on public.user_follows;
+create policy "Seguimientos: cada usuario agrega los suyos" on public.user_follows
+    for insert to authenticated with check (follower_id = auth.uid());
+
+drop policy if exists "Seguimientos: cada usuario borra los suyos" on public.user_follows;
+create policy "Seguimientos: cada usuario borra los suyos" on public.user_follows
+    for delete to authenticated using (follower_id = auth.uid());
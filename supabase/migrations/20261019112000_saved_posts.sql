@@ -0,0 +1,65 @@
+-- Colecciones de posts guardados (ver src/services/collections.js).
+-- post_collections: { id, user_id, name, created_at }
+-- saved_posts: { id, collection_id, user_id, post_id, created_at }
+--  - un post una sola vez por colección.
+--  - post_id no tiene FK: si se borra el post, el guardado queda para poder
+--    mostrarlo como no disponible y quitarlo.
+-- Cada usuario ve y modifica solo sus colecciones y guardados, y solo guarda
+-- en sus propias colecciones.
+
+create table if not exists public.post_collections (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null check (btrim(name) <> '' and char_length(name) <= 60),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists post_collections_user_id_idx on public.post_collections (user_id, created_at desc);
+
+create table if not exists public.saved_posts (
+    id bigint generated by default as identity primary key,
+    collection_id bigint not null references public.post_collections (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    post_id bigint not null,
+    created_at timestamptz not null default now(),
+    unique (collection_id, post_id)
+);
+
+create index if not exists saved_posts_user_id_post_id_idx on public.saved_posts (user_id, post_id);
+
+alter table public.post_collections enable row level security;
+alter table public.saved_posts enable row level security;
+
+drop policy if exists "Colecciones: cada usuario ve las suyas" on public.post_collections;
+create policy "Colecciones: cada usuario ve las suyas" on public.post_collections
+    for select to authenticated using (user_id = auth.uid());
+
+drop policy if exists "Colecciones: cada usuario crea las suyas" on public.post_collections;
+create policy "Colecciones: cada usuario crea las suyas" on public.post_collections
+    for insert to authenticated with check (user_id = auth.uid());
+
+drop policy if exists "Colecciones: cada usuario edita las suyas" on public.post_collections;
+create policy "Colecciones: cada usuario edita las suyas" on public.post_collections
+    for update to authenticated using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+drop policy if exists "Colecciones: cada usuario borra las suyas" on public.post_collections;
+create policy "Colecciones: cada usuario borra las suyas" on public.post_collections
+    for delete to authenticated using (user_id = auth.uid());
+
+drop policy if exists "Guardados: cada usuario ve los suyos" on public.saved_posts;
+create policy "Guardados: cada usuario ve los suyos" on public.saved_posts
+    for select to authenticated using (user_id = auth.uid());
+
+drop policy if exists "Guardados: cada usuario guarda en sus colecciones" on public.saved_posts;
+create policy "Guardados: cada usuario guarda en sus colecciones" on public.saved_posts
+    for insert to authenticated with check (
+        user_id = auth.uid()
+        and exists (
+            select 1 from public.post_collections c
+            where c.id = collection_id and c.user_id = auth.uid()
+        )
+    );
+
+drop policy if exists "Guardados: cada usuario borra los suyos" on public.saved_posts;
+create policy "Guardados: cada usuario borra los suyos" on public.saved_posts
+    for delete to authenticated using (user_id = auth.uid());
@@ -0,0 +1,128 @@
+-- Reportes de contenido y bloqueos entre usuarios (ver src/services/moderation.js).
+--
+-- content_reports: { id, reporter_id, target_type, post_id, comment_id, reported_user_id,
+--                    reason, details, status, reviewed_by, reviewed_at, created_at }
+--  - post_id y comment_id no tienen FK: el reporte queda aunque se borre el
+--    contenido (la consola lo muestra como borrado).
+--  - un reporte por usuario y contenido.
+-- Cada usuario crea y lee solo sus reportes; el equipo de moderación los
+-- revisa con las funciones de moderación.
+--
+-- user_blocks: { blocker_id, blocked_id, created_at }; blocker_id bloqueó a blocked_id.
+-- Cada usuario lee, agrega y borra solo sus bloqueos. Entre dos usuarios con un
+-- bloqueo (en cualquier sentido) la base no deja abrir un chat privado ni
+-- mandar mensajes en él, ni que queden en el mismo grupo (ver create_group_chat
+-- y add_group_chat_members).
+
+create table if not exists public.content_reports (
+    id bigint generated by default as identity primary key,
+    reporter_id uuid not null references auth.users (id) on delete cascade,
+    target_type text not null check (target_type in ('post', 'comment')),
+    post_id bigint not null,
+    comment_id bigint,
+    reported_user_id uuid references auth.users (id) on delete set null,
+    reason text not null check (reason in ('spam', 'harassment', 'inappropriate', 'misinformation', 'other')),
+    details text check (char_length(details) <= 500),
+    status text not null default 'pending' check (status in ('pending', 'resolved', 'dismissed')),
+    reviewed_by uuid references auth.users (id) on delete set null,
+    reviewed_at timestamptz,
+    created_at timestamptz not null default now(),
+    check ((target_type = 'comment') = (comment_id is not null)),
+    unique nulls not distinct (reporter_id, target_type, post_id, comment_id)
+);
+
+create index if not exists content_reports_status_created_at_idx
+    on public.content_reports (status, created_at desc, id desc);
+create index if not exists content_reports_target_idx
+    on public.content_reports (target_type, post_id, comment_id) where status = 'pending';
+
+alter table public.content_reports enable row level security;
+
+drop policy if exists "Reportes: cada usuario lee los suyos" on public.content_reports;
+create policy "Reportes: cada usuario lee los suyos" on public.content_reports
+    for select to authenticated using (reporter_id = auth.uid());
+
+drop policy if exists "Reportes: cada usuario crea los suyos" on public.content_reports;
+create policy "Reportes: cada usuario crea los suyos" on public.content_reports
+    for insert to authenticated with check (
+        reporter_id = auth.uid()
+        and status = 'pending'
+        and reviewed_by is null
+        and reviewed_at is null
+    );
+
+create table if not exists public.user_blocks (
+    blocker_id uuid not null references auth.users (id) on delete cascade,
+    blocked_id uuid not null references auth.users (id) on delete cascade,
+    created_at timestamptz not null default now(),
+    primary key (blocker_id, blocked_id),
+    check (blocker_id <> blocked_id)
+);
+
+create index if not exists user_blocks_blocked_id_idx on public.user_blocks (blocked_id);
+
+alter table public.user_blocks enable row level security;
+
+drop policy if exists "Bloqueos: cada usuario lee los suyos" on public.user_blocks;
+create policy "Bloqueos: cada usuario lee los suyos" on public.user_blocks
+    for select to authenticated using (blocker_id = auth.uid());
+
+drop policy if exists "Bloqueos: cada usuario agrega los suyos" on public.user_blocks;
+create policy "Bloqueos: cada usuario agrega los suyos" on public.user_blocks
+    for insert to authenticated with check (blocker_id = auth.uid());
+
+drop policy if exists "Bloqueos: cada usuario borra los suyos" on public.user_blocks;
+create policy "Bloqueos: cada usuario borra los suyos" on public.user_blocks
+    for delete to authenticated using (blocker_id = auth.uid());
+
+-- ---------------------------------------------------------------------------
+-- Si hay un bloqueo (en cualquier sentido) entre un usuario de p_user_ids y uno
+-- de p_other_user_ids. Solo para usar desde otras funciones de la base: no
+-- muestra quién bloqueó a quién, pero dejaría averiguar bloqueos ajenos.
+
+create or replace function public.has_blocks_between(p_user_ids uuid[], p_other_user_ids uuid[])
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from user_blocks b
+        where (b.blocker_id = any(p_user_ids) and b.blocked_id = any(p_other_user_ids))
+            or (b.blocker_id = any(p_other_user_ids) and b.blocked_id = any(p_user_ids))
+    );
+$$;
+
+revoke execute on function public.has_blocks_between(uuid[], uuid[]) from public, anon, authenticated;
+
+-- Si hay un bloqueo entre quien llama y p_other_user_id (en cualquier sentido).
+create or replace function public.is_blocked_between(p_other_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select public.has_blocks_between(array[auth.uid()], array[p_other_user_id]);
+$$;
+
+-- Las políticas restrictivas se suman (con AND) a las que ya tiene cada tabla.
+
+drop policy if exists "Bloqueos: no se abren chats privados" on public.private_chats;
+create policy "Bloqueos: no se abren chats privados" on public.private_chats
+    as restrictive for insert to authenticated
+    with check (
+        is_group
+        or not public.is_blocked_between(case when user_id1 = auth.uid() then user_id2 else user_id1 end)
+    );
+
+drop policy if exists "Bloqueos: no se escriben mensajes privados" on public.private_chat_messages;
+create policy "Bloqueos: no se escriben mensajes privados" on public.private_chat_messages
+    as restrictive for insert to authenticated
+    with check (not exists (
+        select 1 from public.private_chats c
+        where c.id = chat_id
+            and not c.is_group
+            and public.is_blocked_between(case when c.user_id1 = auth.uid() then c.user_id2 else c.user_id1 end)
+    ));
@@ -0,0 +1,114 @@
+-- Roles, suspensión, contenido oculto y registro de moderación (ver
+-- src/services/admin.js y src/services/user-profiles.js).
+--  - user_profiles.role: 'member' (por defecto), 'moderator' o 'admin'.
+--  - user_profiles.suspended_at / suspension_reason: null si no está suspendida.
+--  - posts.hidden_at / comments.hidden_at: null si el contenido está visible.
+--  - moderation_log: { id, moderator_id, action, target_type, target_id, report_id, reason, details, created_at }
+-- Lo oculto solo lo ven su autor y el equipo de moderación. El equipo lee
+-- todos los reportes y el registro, y borra las imágenes de los posts que
+-- borra desde la consola. Los cambios se hacen con las funciones de
+-- moderación (ver *_moderation_actions.sql).
+
+alter table public.user_profiles
+    add column if not exists role text not null default 'member',
+    add column if not exists suspended_at timestamptz,
+    add column if not exists suspension_reason text;
+
+alter table public.user_profiles drop constraint if exists user_profiles_role_check;
+alter table public.user_profiles
+    add constraint user_profiles_role_check check (role in ('member', 'moderator', 'admin'));
+
+alter table public.posts add column if not exists hidden_at timestamptz;
+alter table public.comments add column if not exists hidden_at timestamptz;
+
+create table if not exists public.moderation_log (
+    id bigint generated by default as identity primary key,
+    moderator_id uuid references auth.users (id) on delete set null,
+    action text not null check (action in (
+        'hide_post', 'unhide_post', 'delete_post',
+        'hide_comment', 'unhide_comment', 'delete_comment',
+        'suspend_user', 'unsuspend_user', 'change_role',
+        'resolve_report', 'dismiss_report', 'delete_files'
+    )),
+    target_type text not null check (target_type in ('post', 'comment', 'user', 'report', 'storage')),
+    target_id text not null,
+    report_id bigint references public.content_reports (id) on delete set null,
+    reason text,
+    details jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_log_created_at_idx on public.moderation_log (created_at desc, id desc);
+
+alter table public.moderation_log enable row level security;
+
+-- ---------------------------------------------------------------------------
+-- Quién llama.
+
+-- Si quien llama tiene al menos un rol ('member' < 'moderator' < 'admin') y no está suspendido.
+create or replace function public.current_user_has_role(min_role text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce((
+        select array_position(array['member', 'moderator', 'admin'], coalesce(role, 'member'))
+            >= array_position(array['member', 'moderator', 'admin'], min_role)
+        from user_profiles
+        where id = auth.uid() and suspended_at is null
+    ), false);
+$$;
+
+-- Si quien llama tiene perfil y no está suspendido.
+create or replace function public.current_user_is_active()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select exists (
+        select 1 from user_profiles where id = auth.uid() and suspended_at is null
+    );
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Contenido oculto: las políticas restrictivas se suman (con AND) a las que ya
+-- tiene cada tabla.
+
+drop policy if exists "Ocultos: solo los ven su autor y moderación" on public.posts;
+create policy "Ocultos: solo los ven su autor y moderación" on public.posts
+    as restrictive for select
+    using (hidden_at is null or sender_id = auth.uid() or public.current_user_has_role('moderator'));
+
+drop policy if exists "Ocultos: solo los ven su autor y moderación" on public.comments;
+create policy "Ocultos: solo los ven su autor y moderación" on public.comments
+    as restrictive for select
+    using (hidden_at is null or author_id = auth.uid() or public.current_user_has_role('moderator'));
+
+-- ---------------------------------------------------------------------------
+-- Reportes y registro.
+
+drop policy if exists "Reportes: moderación lee todos" on public.content_reports;
+create policy "Reportes: moderación lee todos" on public.content_reports
+    for select to authenticated using (public.current_user_has_role('moderator'));
+
+drop policy if exists "Registro: solo lo lee moderación" on public.moderation_log;
+create policy "Registro: solo lo lee moderación" on public.moderation_log
+    for select to authenticated using (public.current_user_has_role('moderator'));
+
+-- ---------------------------------------------------------------------------
+-- Imágenes de los posts: deleteContent las borra del bucket después de
+-- moderation_delete_content (storage pide poder leer y borrar el archivo).
+
+drop policy if exists "Imágenes de posts: moderación lee" on storage.objects;
+create policy "Imágenes de posts: moderación lee" on storage.objects
+    for select to authenticated
+    using (bucket_id = 'post-images' and public.current_user_has_role('moderator'));
+
+drop policy if exists "Imágenes de posts: moderación borra" on storage.objects;
+create policy "Imágenes de posts: moderación borra" on storage.objects
+    for delete to authenticated
+    using (bucket_id = 'post-images' and public.current_user_has_role('moderator'));
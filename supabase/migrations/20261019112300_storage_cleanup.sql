@@ -0,0 +1,53 @@
+-- Limpieza de archivos (ver src/services/auth.js, post-images.js y storage-sweep.js).
+--  - user_profiles.photo_path: path de la foto de perfil en el bucket avatars,
+--    para borrar la anterior al reemplazarla.
+--  - cada usuario borra sus archivos: avatars/<user_id>/... en avatars y
+--    <user_id>/... en post-images (storage pide poder leer y borrar el archivo).
+--  - los admins listan y borran cualquier archivo de los dos buckets, para el
+--    barrido de huérfanos (/admin/archivos).
+
+alter table public.user_profiles add column if not exists photo_path text;
+
+drop policy if exists "Avatares: cada usuario lee los suyos" on storage.objects;
+create policy "Avatares: cada usuario lee los suyos" on storage.objects
+    for select to authenticated
+    using (
+        bucket_id = 'avatars'
+        and (storage.foldername(name))[1] = 'avatars'
+        and (storage.foldername(name))[2] = auth.uid()::text
+    );
+
+drop policy if exists "Avatares: cada usuario borra los suyos" on storage.objects;
+create policy "Avatares: cada usuario borra los suyos" on storage.objects
+    for delete to authenticated
+    using (
+        bucket_id = 'avatars'
+        and (storage.foldername(name))[1] = 'avatars'
+        and (storage.foldername(name))[2] = auth.uid()::text
+    );
+
+drop policy if exists "Imágenes de posts: cada usuario lee las suyas" on storage.objects;
+create policy "Imágenes de posts: cada usuario lee las suyas" on storage.objects
+    for select to authenticated
+    using (
+        bucket_id = 'post-images'
+        and (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+drop policy if exists "Imágenes de posts: cada usuario borra las suyas" on storage.objects;
+create policy "Imágenes de posts: cada usuario borra las suyas" on storage.objects
+    for delete to authenticated
+    using (
+        bucket_id = 'post-images'
+        and (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+drop policy if exists "Archivos públicos: los admins listan todo" on storage.objects;
+create policy "Archivos públicos: los admins listan todo" on storage.objects
+    for select to authenticated
+    using (bucket_id in ('avatars', 'post-images') and public.current_user_has_role('admin'));
+
+drop policy if exists "Archivos públicos: los admins borran todo" on storage.objects;
+create policy "Archivos públicos: los admins borran todo" on storage.objects
+    for delete to authenticated
+    using (bucket_id in ('avatars', 'post-images') and public.current_user_has_role('admin'));
@@ -0,0 +1,8 @@
+-- Miniaturas de las imágenes de los posts de antes de la galería (ver
+-- getPostImages en src/services/post-images.js).
+-- posts.thumb_path_1 / thumb_path_2: path de la miniatura de image_path_1 /
+-- image_path_2 en post-images (null si no tiene: se muestra la imagen).
+
+alter table public.posts
+    add column if not exists thumb_path_1 text,
+    add column if not exists thumb_path_2 text;
@@ -0,0 +1,43 @@
+-- Galería de imágenes de los posts (ver src/services/post-images.js).
+-- post_images: { id, post_id, position, path, thumb_path, caption, alt_text, created_at }
+--  - se borran en cascada con el post.
+--  - position: orden en la galería. No es única: al reordenar se insertan las
+--    filas nuevas antes de borrar las anteriores (ver replacePostImages).
+-- Se leen las imágenes de los posts que quien llama puede ver (con las
+-- políticas de posts, que no devuelven los ocultos); solo el autor del post
+-- las agrega, cambia o borra.
+
+create table if not exists public.post_images (
+    id bigint generated by default as identity primary key,
+    post_id bigint not null references public.posts (id) on delete cascade,
+    position integer not null check (position >= 0),
+    path text not null check (path <> ''),
+    thumb_path text,
+    caption text check (char_length(caption) <= 200),
+    alt_text text check (char_length(alt_text) <= 200),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists post_images_post_id_position_idx on public.post_images (post_id, position);
+
+alter table public.post_images enable row level security;
+
+drop policy if exists "Imágenes de posts: se leen con su post" on public.post_images;
+create policy "Imágenes de posts: se leen con su post" on public.post_images
+    for select using (exists (select 1 from public.posts p where p.id = post_id));
+
+drop policy if exists "Imágenes de posts: el autor las agrega" on public.post_images;
+create policy "Imágenes de posts: el autor las agrega" on public.post_images
+    for insert to authenticated
+    with check (exists (select 1 from public.posts p where p.id = post_id and p.sender_id = auth.uid()));
+
+drop policy if exists "Imágenes de posts: el autor las cambia" on public.post_images;
+create policy "Imágenes de posts: el autor las cambia" on public.post_images
+    for update to authenticated
+    using (exists (select 1 from public.posts p where p.id = post_id and p.sender_id = auth.uid()))
+    with check (exists (select 1 from public.posts p where p.id = post_id and p.sender_id = auth.uid()));
+
+drop policy if exists "Imágenes de posts: el autor las borra" on public.post_images;
+create policy "Imágenes de posts: el autor las borra" on public.post_images
+    for delete to authenticated
+    using (exists (select 1 from public.posts p where p.id = post_id and p.sender_id = auth.uid()));
@@ -0,0 +1,16 @@
+-- Claves públicas con las que se cifró cada mensaje privado (ver src/services/e2ee.js).
+-- Los mensajes se descifran con estas y no con las publicadas en user_profiles.public_key,
+-- así desactivar el cifrado o generar una clave nueva no deja ilegibles los mensajes viejos.
+-- JWK en texto; null en los mensajes sin cifrar y en los cifrados antes de esta migración.
+
+alter table public.private_chat_messages
+    add column if not exists sender_public_key text,
+    add column if not exists recipient_public_key text;
+
+-- Un mensaje cifrado nuevo tiene que traer las dos claves.
+alter table public.private_chat_messages
+    add constraint private_chat_messages_encrypted_keys
+    check (
+        encrypted is not true
+        or (sender_public_key is not null and recipient_public_key is not null)
+    ) not valid;
@@ -0,0 +1,384 @@
+-- Acciones de moderación atómicas y suspensión en RLS (ver src/services/admin.js).
+--
+-- Cada acción de la consola de moderación se hace con una función que cambia
+-- el contenido (o la cuenta) y graba su fila de moderation_log en la misma
+-- transacción: no puede quedar una acción sin registrar ni un registro de una
+-- acción que no se hizo. Las funciones son security definer y controlan el rol
+-- de quien llama con current_user_has_role (ver *_moderation.sql). Desde la
+-- API ya no se pueden hacer esos cambios directamente (ver los triggers de más
+-- abajo).
+--
+-- La suspensión de cuentas se aplica con políticas restrictivas: una cuenta
+-- suspendida no puede crear ni editar contenido aunque tenga la sesión abierta
+-- (auth.js además le cierra la sesión).
+
+-- ---------------------------------------------------------------------------
+-- Registro y reportes (solo para usar desde las funciones de moderación).
+
+create or replace function public.moderation_log_action(
+    p_action text,
+    p_target_type text,
+    p_target_id text,
+    p_report_id bigint default null,
+    p_reason text default null,
+    p_details jsonb default null
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    insert into moderation_log (moderator_id, action, target_type, target_id, report_id, reason, details)
+    values (auth.uid(), p_action, p_target_type, p_target_id, p_report_id, nullif(trim(p_reason), ''), p_details);
+$$;
+
+-- Marca como resueltos los reportes pendientes de un contenido (al ocultarlo o borrarlo).
+create or replace function public.moderation_resolve_reports(p_target_type text, p_target_id bigint)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+    update content_reports
+    set status = 'resolved', reviewed_by = auth.uid(), reviewed_at = now()
+    where target_type = p_target_type
+        and status = 'pending'
+        and (case when p_target_type = 'post' then post_id else comment_id end) = p_target_id;
+$$;
+
+revoke execute on function public.moderation_log_action(text, text, text, bigint, text, jsonb) from public, anon, authenticated;
+revoke execute on function public.moderation_resolve_reports(text, bigint) from public, anon, authenticated;
+
+-- ---------------------------------------------------------------------------
+-- Acciones.
+
+-- Cerrar un reporte sin tocar el contenido.
+create or replace function public.moderation_review_report(p_report_id bigint, p_status text, p_reason text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.current_user_has_role('moderator') then
+        raise exception 'No tenés permiso para revisar reportes.' using errcode = '42501';
+    end if;
+    if p_status not in ('resolved', 'dismissed') then
+        raise exception 'Estado de reporte inválido.' using errcode = '22023';
+    end if;
+
+    update content_reports
+    set status = p_status, reviewed_by = auth.uid(), reviewed_at = now()
+    where id = p_report_id;
+
+    if not found then
+        raise exception 'No se encontró el reporte.' using errcode = 'P0002';
+    end if;
+
+    perform public.moderation_log_action(
+        case when p_status = 'resolved' then 'resolve_report' else 'dismiss_report' end,
+        'report', p_report_id::text, p_report_id, p_reason
+    );
+end;
+$$;
+
+-- Ocultar o volver a mostrar un post o un comentario. Al ocultarlo se resuelven sus reportes pendientes.
+create or replace function public.moderation_set_content_hidden(
+    p_target_type text,
+    p_target_id bigint,
+    p_hidden boolean,
+    p_reason text default null,
+    p_report_id bigint default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.current_user_has_role('moderator') then
+        raise exception 'No tenés permiso para moderar contenido.' using errcode = '42501';
+    end if;
+
+    if p_target_type = 'post' then
+        update posts set hidden_at = case when p_hidden then now() end where id = p_target_id;
+    elsif p_target_type = 'comment' then
+        update comments set hidden_at = case when p_hidden then now() end where id = p_target_id;
+    else
+        raise exception 'Tipo de contenido inválido.' using errcode = '22023';
+    end if;
+
+    if not found then
+        raise exception 'No se encontró el contenido.' using errcode = 'P0002';
+    end if;
+
+    if p_hidden then
+        perform public.moderation_resolve_reports(p_target_type, p_target_id);
+    end if;
+
+    perform public.moderation_log_action(
+        (case when p_hidden then 'hide_' else 'unhide_' end) || p_target_type,
+        p_target_type, p_target_id::text, p_report_id, p_reason
+    );
+end;
+$$;
+
+-- Borrar un post o un comentario. En el registro queda una copia del contenido.
+-- Retorna los paths del bucket de posts que usaba (la galería y las columnas
+-- viejas) para que la app borre los archivos.
+create or replace function public.moderation_delete_content(
+    p_target_type text,
+    p_target_id bigint,
+    p_reason text default null,
+    p_report_id bigint default null
+)
+returns text[]
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_snapshot jsonb;
+    v_paths text[] := '{}';
+    v_legacy_paths text[];
+begin
+    if not public.current_user_has_role('moderator') then
+        raise exception 'No tenés permiso para borrar contenido.' using errcode = '42501';
+    end if;
+
+    if p_target_type = 'post' then
+        -- Las filas de post_images se borran en cascada con el post: los paths se buscan antes.
+        select coalesce(array_agg(file_path) filter (where file_path is not null), '{}')
+        into v_paths
+        from post_images
+        cross join lateral unnest(array[post_images.path, post_images.thumb_path]) as files(file_path)
+        where post_images.post_id = p_target_id;
+
+        delete from posts
+        where id = p_target_id
+        returning
+            jsonb_build_object('sender_id', sender_id, 'user_email', user_email, 'content', content),
+            array_remove(array[image_path_1, thumb_path_1, image_path_2, thumb_path_2], null)
+        into v_snapshot, v_legacy_paths;
+
+        v_paths := v_paths || coalesce(v_legacy_paths, '{}');
+    elsif p_target_type = 'comment' then
+        delete from comments
+        where id = p_target_id
+        returning jsonb_build_object('post_id', post_id, 'author_id', author_id, 'author_email', author_email, 'content', content)
+        into v_snapshot;
+    else
+        raise exception 'Tipo de contenido inválido.' using errcode = '22023';
+    end if;
+
+    if v_snapshot is null then
+        raise exception 'No se encontró el contenido.' using errcode = 'P0002';
+    end if;
+
+    perform public.moderation_resolve_reports(p_target_type, p_target_id);
+    perform public.moderation_log_action('delete_' || p_target_type, p_target_type, p_target_id::text, p_report_id, p_reason, v_snapshot);
+
+    return v_paths;
+end;
+$$;
+
+-- Suspender o reactivar una cuenta. Los moderadores solo pueden hacerlo con
+-- miembros; los admins, con cualquier cuenta (menos la propia).
+create or replace function public.moderation_set_suspension(p_user_id uuid, p_suspended boolean, p_reason text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_role text;
+begin
+    if not public.current_user_has_role('moderator') then
+        raise exception 'No tenés permiso para suspender cuentas.' using errcode = '42501';
+    end if;
+    if p_user_id = auth.uid() then
+        raise exception 'No podés suspender tu propia cuenta.' using errcode = '22023';
+    end if;
+    if p_suspended and coalesce(trim(p_reason), '') = '' then
+        raise exception 'Indicá el motivo de la suspensión.' using errcode = '22023';
+    end if;
+
+    select coalesce(role, 'member') into v_role from user_profiles where id = p_user_id;
+
+    if not found then
+        raise exception 'No se encontró la cuenta.' using errcode = 'P0002';
+    end if;
+    if v_role <> 'member' and not public.current_user_has_role('admin') then
+        raise exception 'No tenés permiso para suspender esta cuenta.' using errcode = '42501';
+    end if;
+
+    update user_profiles
+    set suspended_at = case when p_suspended then now() end,
+        suspension_reason = case when p_suspended then trim(p_reason) end
+    where id = p_user_id;
+
+    perform public.moderation_log_action(
+        case when p_suspended then 'suspend_user' else 'unsuspend_user' end,
+        'user', p_user_id::text, null, p_reason
+    );
+end;
+$$;
+
+-- Cambiar el rol de un usuario (solo admins).
+create or replace function public.moderation_set_role(p_user_id uuid, p_role text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.current_user_has_role('admin') then
+        raise exception 'No tenés permiso para cambiar roles.' using errcode = '42501';
+    end if;
+    if p_role not in ('member', 'moderator', 'admin') then
+        raise exception 'Rol inválido.' using errcode = '22023';
+    end if;
+    if p_user_id = auth.uid() then
+        raise exception 'No podés cambiar tu propio rol.' using errcode = '22023';
+    end if;
+
+    update user_profiles set role = p_role where id = p_user_id;
+
+    if not found then
+        raise exception 'No se encontró la cuenta.' using errcode = 'P0002';
+    end if;
+
+    perform public.moderation_log_action('change_role', 'user', p_user_id::text, null, null, jsonb_build_object('role', p_role));
+end;
+$$;
+
+-- Registrar el borrado de archivos huérfanos (solo admins). Los archivos los
+-- borra la app con la API de storage, así que esto se llama después.
+create or replace function public.moderation_log_files_deleted(p_buckets text, p_details jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.current_user_has_role('admin') then
+        raise exception 'No tenés permiso para borrar archivos.' using errcode = '42501';
+    end if;
+
+    perform public.moderation_log_action('delete_files', 'storage', p_buckets, null, null, p_details);
+end;
+$$;
+
+-- ---------------------------------------------------------------------------
+-- Sin atajos desde la API: el registro solo lo escriben las funciones de
+-- arriba, y los cambios de moderación solo se pueden hacer con ellas (corren
+-- como el dueño de la base, no como anon o authenticated).
+
+revoke insert, update, delete on public.moderation_log from anon, authenticated;
+
+create or replace function public.guard_moderation_columns()
+returns trigger
+language plpgsql
+as $$
+begin
+    if current_user not in ('anon', 'authenticated') then
+        return new;
+    end if;
+
+    if tg_table_name = 'user_profiles' then
+        if new.role is distinct from old.role
+            or new.suspended_at is distinct from old.suspended_at
+            or new.suspension_reason is distinct from old.suspension_reason then
+            raise exception 'El rol y la suspensión se cambian desde la consola de moderación.' using errcode = '42501';
+        end if;
+    elsif tg_table_name in ('posts', 'comments') then
+        if new.hidden_at is distinct from old.hidden_at then
+            raise exception 'El contenido se oculta desde la consola de moderación.' using errcode = '42501';
+        end if;
+    elsif tg_table_name = 'content_reports' then
+        if new.status is distinct from old.status
+            or new.reviewed_by is distinct from old.reviewed_by
+            or new.reviewed_at is distinct from old.reviewed_at then
+            raise exception 'Los reportes se revisan desde la consola de moderación.' using errcode = '42501';
+        end if;
+    end if;
+
+    return new;
+end;
+$$;
+
+-- Cada autor puede borrar lo suyo; el contenido ajeno solo se borra con moderation_delete_content.
+create or replace function public.guard_moderation_delete()
+returns trigger
+language plpgsql
+as $$
+begin
+    if current_user not in ('anon', 'authenticated') then
+        return old;
+    end if;
+
+    if tg_table_name = 'posts' then
+        if old.sender_id is distinct from auth.uid() then
+            raise exception 'El contenido ajeno se borra desde la consola de moderación.' using errcode = '42501';
+        end if;
+    elsif tg_table_name = 'comments' then
+        if old.author_id is distinct from auth.uid() then
+            raise exception 'El contenido ajeno se borra desde la consola de moderación.' using errcode = '42501';
+        end if;
+    end if;
+
+    return old;
+end;
+$$;
+
+drop trigger if exists guard_moderation_columns on public.user_profiles;
+create trigger guard_moderation_columns before update on public.user_profiles
+    for each row execute function public.guard_moderation_columns();
+
+drop trigger if exists guard_moderation_columns on public.posts;
+create trigger guard_moderation_columns before update on public.posts
+    for each row execute function public.guard_moderation_columns();
+
+drop trigger if exists guard_moderation_columns on public.comments;
+create trigger guard_moderation_columns before update on public.comments
+    for each row execute function public.guard_moderation_columns();
+
+drop trigger if exists guard_moderation_columns on public.content_reports;
+create trigger guard_moderation_columns before update on public.content_reports
+    for each row execute function public.guard_moderation_columns();
+
+drop trigger if exists guard_moderation_delete on public.posts;
+create trigger guard_moderation_delete before delete on public.posts
+    for each row execute function public.guard_moderation_delete();
+
+drop trigger if exists guard_moderation_delete on public.comments;
+create trigger guard_moderation_delete before delete on public.comments
+    for each row execute function public.guard_moderation_delete();
+
+-- ---------------------------------------------------------------------------
+-- Suspensión en RLS: las políticas restrictivas se suman (con AND) a las que
+-- ya tiene cada tabla. Bloquear usuarios (user_blocks) sigue permitido.
+
+do $$
+declare
+    t text;
+begin
+    foreach t in array array[
+        'posts', 'post_images', 'post_tags', 'comments', 'reactions',
+        'private_chats', 'private_chat_members', 'private_chat_messages', 'private_chat_message_reactions',
+        'saved_posts', 'post_collections', 'user_follows', 'content_reports'
+    ] loop
+        execute format('drop policy if exists %I on public.%I', 'Cuentas suspendidas: no insertan', t);
+        execute format(
+            'create policy %I on public.%I as restrictive for insert to authenticated with check (public.current_user_is_active())',
+            'Cuentas suspendidas: no insertan', t
+        );
+
+        execute format('drop policy if exists %I on public.%I', 'Cuentas suspendidas: no editan', t);
+        execute format(
+            'create policy %I on public.%I as restrictive for update to authenticated using (public.current_user_is_active()) with check (public.current_user_is_active())',
+            'Cuentas suspendidas: no editan', t
+        );
+    end loop;
+end;
+$$;
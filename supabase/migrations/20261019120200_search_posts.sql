@@ -0,0 +1,47 @@
+-- Búsqueda de posts ordenada por relevancia en la base (ver searchPosts en src/services/posts.js).
+-- Filtra con el full-text search de Postgres (configuración 'spanish', sintaxis
+-- websearch: "frases", or y -excluir), ordena por ts_rank y después por fecha,
+-- y recién ahí aplica el límite: los resultados son los más relevantes de
+-- todos los posts, no los más nuevos que coinciden.
+-- Es security invoker: las políticas de RLS de posts se aplican igual.
+
+create index if not exists posts_content_search_idx
+    on public.posts using gin (to_tsvector('spanish', content));
+
+create or replace function public.search_posts(
+    p_query text default null,
+    p_tag_id bigint default null,
+    p_author_id uuid default null,
+    p_author_email text default null,
+    p_from timestamptz default null,
+    p_to timestamptz default null,
+    p_limit integer default 50
+)
+returns table (id bigint, rank real)
+language sql
+stable
+set search_path = public
+as $$
+    select
+        p.id::bigint,
+        case
+            when coalesce(trim(p_query), '') = '' then 0::real
+            else ts_rank(to_tsvector('spanish', p.content), websearch_to_tsquery('spanish', p_query))
+        end as rank
+    from posts p
+    where p.hidden_at is null
+        and (coalesce(trim(p_query), '') = ''
+            or to_tsvector('spanish', p.content) @@ websearch_to_tsquery('spanish', p_query))
+        and (p_tag_id is null
+            or exists (select 1 from post_tags pt where pt.post_id = p.id and pt.tag_id = p_tag_id))
+        and (p_author_id is null or p.sender_id = p_author_id)
+        and (p_author_email is null or p.user_email ilike '%' || trim(p_author_email) || '%')
+        and (p_from is null or p.created_at >= p_from)
+        and (p_to is null or p.created_at < p_to)
+        -- Los posts de usuarios que bloqueé (ver src/services/moderation.js).
+        and not exists (
+            select 1 from user_blocks b where b.blocker_id = auth.uid() and b.blocked_id = p.sender_id
+        )
+    order by rank desc, p.created_at desc, p.id desc
+    limit least(greatest(coalesce(p_limit, 50), 1), 100);
+$$;
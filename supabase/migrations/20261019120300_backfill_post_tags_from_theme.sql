@@ -0,0 +1,34 @@
+-- Pasa la columna vieja posts.theme a tags (ver src/services/tags.js).
+-- Los posts de antes de los tags solo tenían theme y se mostraban con un tag
+-- armado en la app, que llevaba a /tag/<slug> sin que ese tag existiera.
+-- Ahora cada theme es un tag de verdad (con su fila en post_tags), así que la
+-- página del tag los encuentra y la app ya no necesita el tag armado.
+-- El nombre y el slug se arman igual que normalizeTagName y slugifyTag.
+
+create extension if not exists unaccent with schema extensions;
+
+create temporary table theme_tags as
+select post_id, name, trim(both '-' from regexp_replace(lower(extensions.unaccent(name)), '[^a-z0-9]+', '-', 'g')) as slug
+from (
+    select p.id as post_id, lower(trim(regexp_replace(regexp_replace(p.theme, '^#+', ''), '\s+', ' ', 'g'))) as name
+    from public.posts p
+    where coalesce(trim(p.theme), '') <> ''
+        -- Solo los posts sin tags: a los demás ya no se les mostraba el theme.
+        and not exists (select 1 from public.post_tags pt where pt.post_id = p.id)
+) as themes;
+
+delete from theme_tags where slug = '';
+
+insert into public.tags (name, slug)
+select distinct on (slug) name, slug
+from theme_tags
+order by slug, name
+on conflict (slug) do nothing;
+
+insert into public.post_tags (post_id, tag_id)
+select theme_tags.post_id, tags.id
+from theme_tags
+join public.tags on tags.slug = theme_tags.slug
+on conflict do nothing;
+
+drop table theme_tags;
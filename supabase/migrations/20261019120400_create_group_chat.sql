@@ -0,0 +1,62 @@
+-- Crear un grupo y sus participantes en una sola transacción (ver createGroupChat
+-- en src/services/group-chat.js).
+-- Las políticas de RLS de private_chats solo dejan leer un grupo a sus
+-- participantes: insertando el grupo y después los participantes desde la app,
+-- el segundo paso no podía ver el grupo recién creado. Esta función es
+-- security definer, controla que quien crea el grupo sea quien llama y que no
+-- haya bloqueos entre los participantes, y graba las dos cosas juntas (si
+-- falla una, no queda nada).
+
+create or replace function public.create_group_chat(p_creator_id uuid, p_name text, p_member_ids uuid[] default '{}')
+returns public.private_chats
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_name text := trim(coalesce(p_name, ''));
+    v_user_ids uuid[];
+    v_group private_chats;
+begin
+    if auth.uid() is null or p_creator_id is distinct from auth.uid() then
+        raise exception 'Solo podés crear grupos a tu nombre.' using errcode = '42501';
+    end if;
+    if not public.current_user_is_active() then
+        raise exception 'Tu cuenta está suspendida.' using errcode = '42501';
+    end if;
+    if v_name = '' then
+        raise exception 'El grupo necesita un nombre.' using errcode = '22023';
+    end if;
+    if char_length(v_name) > 80 then
+        raise exception 'El nombre del grupo no puede tener más de 80 caracteres.' using errcode = '22023';
+    end if;
+
+    select array_agg(distinct user_id)
+    into v_user_ids
+    from unnest(array[p_creator_id] || coalesce(p_member_ids, '{}')) as members(user_id)
+    where user_id is not null;
+
+    -- Igual que GROUP_CHAT_MAX_MEMBERS en group-chat.js.
+    if cardinality(v_user_ids) > 20 then
+        raise exception 'Un grupo puede tener hasta 20 participantes.' using errcode = '22023';
+    end if;
+
+    -- Dos usuarios con un bloqueo no pueden quedar en el mismo grupo.
+    if public.has_blocks_between(v_user_ids, v_user_ids) then
+        raise exception 'Alguno de los participantes no puede estar en este grupo.' using errcode = '42501';
+    end if;
+
+    insert into private_chats (is_group, name, created_by)
+    values (true, v_name, p_creator_id)
+    returning * into v_group;
+
+    insert into private_chat_members (chat_id, user_id, added_by)
+    select v_group.id, user_id, p_creator_id
+    from unnest(v_user_ids) as members(user_id);
+
+    return v_group;
+end;
+$$;
+
+revoke execute on function public.create_group_chat(uuid, text, uuid[]) from public, anon;
+grant execute on function public.create_group_chat(uuid, text, uuid[]) to authenticated;
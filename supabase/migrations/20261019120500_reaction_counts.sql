@@ -0,0 +1,10 @@
+-- Cantidad de reacciones por post o comentario y tipo (ver fetchReactionSummaries
+-- en src/services/reactions.js), para no traer una fila por reacción.
+-- security_invoker: se aplican las políticas de RLS de reactions de quien consulta.
+
+create or replace view public.reaction_counts
+with (security_invoker = true)
+as
+select target_type, target_id, type, count(*)::integer as count
+from public.reactions
+group by target_type, target_id, type;
@@ -0,0 +1,32 @@
+-- Primera página de respuestas de varios comentarios a la vez (ver
+-- fetchCommentReplies en src/services/comments.js).
+-- Trae hasta p_limit + 1 respuestas por comentario (la de más indica que hay
+-- otra página, que la app pide con el cursor de ese comentario), en orden
+-- cronológico. Saca las ocultadas por moderación (salvo p_include_hidden, para
+-- el equipo de moderación) y las de usuarios que bloqueó quien consulta.
+-- Es security invoker: las políticas de RLS de comments se aplican igual.
+
+create or replace function public.fetch_comment_replies(
+    p_parent_ids bigint[],
+    p_limit integer default 5,
+    p_include_hidden boolean default false
+)
+returns setof public.comments
+language sql
+stable
+set search_path = public
+as $$
+    select replies.*
+    from unnest(p_parent_ids) as parents(id)
+    cross join lateral (
+        select c.*
+        from comments c
+        where c.parent_id = parents.id
+            and (p_include_hidden or c.hidden_at is null)
+            and not exists (
+                select 1 from user_blocks b where b.blocker_id = auth.uid() and b.blocked_id = c.author_id
+            )
+        order by c.created_at, c.id
+        limit greatest(coalesce(p_limit, 5), 1) + 1
+    ) as replies;
+$$;
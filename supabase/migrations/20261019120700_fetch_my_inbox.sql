@@ -0,0 +1,63 @@
+-- Bandeja de mensajes en una sola consulta (ver fetchMyPrivateChats en
+-- src/services/private-chat.js): una fila por conversación de quien consulta
+-- (chats de a dos y grupos de los que es miembro) con el perfil del otro
+-- participante, el último mensaje y la cantidad de mensajes sin leer.
+-- p_chat_ids limita el resultado a esas conversaciones (para actualizar una
+-- sola cuando llega un evento en tiempo real).
+-- Es security invoker: las políticas de RLS de cada tabla se aplican igual.
+
+create or replace function public.fetch_my_inbox(p_chat_ids bigint[] default null)
+returns table (
+    id bigint,
+    is_group boolean,
+    name text,
+    user_id1 uuid,
+    user_id2 uuid,
+    created_by uuid,
+    created_at timestamptz,
+    other_user jsonb,
+    last_message jsonb,
+    unread_count integer
+)
+language sql
+stable
+set search_path = public
+as $$
+    select
+        c.id::bigint,
+        coalesce(c.is_group, false),
+        c.name::text,
+        c.user_id1,
+        c.user_id2,
+        c.created_by,
+        c.created_at,
+        case when profile.id is null then null else to_jsonb(profile) end,
+        case when last_message.id is null then null else to_jsonb(last_message) end,
+        unread.count::integer
+    from private_chats c
+    left join user_profiles profile
+        on not coalesce(c.is_group, false)
+        and profile.id = case when c.user_id1 = auth.uid() then c.user_id2 else c.user_id1 end
+    left join private_chat_reads r
+        on r.chat_id = c.id and r.user_id = auth.uid()
+    left join lateral (
+        select m.*
+        from private_chat_messages m
+        where m.chat_id = c.id
+        order by m.created_at desc
+        limit 1
+    ) as last_message on true
+    cross join lateral (
+        select count(*) as count
+        from private_chat_messages m
+        where m.chat_id = c.id
+            and m.sender_id <> auth.uid()
+            and (r.last_read_at is null or m.created_at > r.last_read_at)
+    ) as unread
+    where (p_chat_ids is null or c.id = any(p_chat_ids))
+        and (
+            c.user_id1 = auth.uid()
+            or c.user_id2 = auth.uid()
+            or exists (select 1 from private_chat_members pm where pm.chat_id = c.id and pm.user_id = auth.uid())
+        );
+$$;
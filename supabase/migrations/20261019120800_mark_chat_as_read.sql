@@ -0,0 +1,16 @@
+-- Marcar una conversación como leída (ver markChatAsRead en
+-- src/services/private-chat.js) con la hora del servidor: last_read_at se
+-- compara con el created_at de los mensajes, que también pone la base, así
+-- que un reloj del cliente adelantado o atrasado no cambia qué queda sin leer.
+-- Es security invoker: las políticas de RLS de private_chat_reads se aplican igual.
+
+create or replace function public.mark_chat_as_read(p_chat_id bigint)
+returns void
+language sql
+volatile
+set search_path = public
+as $$
+    insert into private_chat_reads (chat_id, user_id, last_read_at)
+    values (p_chat_id, auth.uid(), now())
+    on conflict (chat_id, user_id) do update set last_read_at = excluded.last_read_at;
+$$;
@@ -0,0 +1,43 @@
+-- Los bloqueos (user_blocks) solo los ve quien bloquea. Antes los podía leer
+-- también el bloqueado, para que el cliente no le mandara notificaciones a
+-- quien lo bloqueó ni le abriera un chat; ahora eso lo resuelve la base:
+--  - notifications: un trigger descarta las que van a alguien que bloqueó al actor.
+--  - is_blocked_between (ver *_reports_and_blocks.sql): dice si hay un bloqueo
+--    entre quien llama y otro usuario, en cualquiera de los dos sentidos, sin
+--    mostrar cuál.
+-- Ver moderation.js, notifications.js y private-chat.js.
+
+-- ---------------------------------------------------------------------------
+-- Lectura solo para quien bloquea: la política restrictiva se suma (con AND)
+-- a la que ya tiene la tabla.
+
+drop policy if exists "Bloqueos: solo los ve quien bloquea" on public.user_blocks;
+create policy "Bloqueos: solo los ve quien bloquea" on public.user_blocks
+    as restrictive for select to authenticated
+    using (blocker_id = auth.uid());
+
+-- ---------------------------------------------------------------------------
+-- Notificaciones: no se le crea ninguna a quien bloqueó al actor. La fila se
+-- descarta sin error, así quien hace la acción no se entera del bloqueo.
+
+create or replace function public.skip_notifications_from_blocked()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if exists (
+        select 1 from user_blocks b where b.blocker_id = new.user_id and b.blocked_id = new.actor_id
+    ) then
+        return null;
+    end if;
+
+    return new;
+end;
+$$;
+
+drop trigger if exists skip_notifications_from_blocked on public.notifications;
+create trigger skip_notifications_from_blocked before insert on public.notifications
+    for each row execute function public.skip_notifications_from_blocked();
+
@@ -0,0 +1,59 @@
+-- Agregar participantes a un grupo (ver addGroupChatMembers en
+-- src/services/group-chat.js).
+-- private_chat_members no tiene política de insert: los participantes solo se
+-- agregan con esta función o con create_group_chat. Es security definer,
+-- controla que quien llama participe del grupo, que el grupo no pase de 20
+-- participantes (igual que GROUP_CHAT_MAX_MEMBERS) y que los nuevos no tengan
+-- bloqueos con nadie del grupo. El grupo se bloquea mientras tanto, así dos
+-- llamadas al mismo tiempo no se pasan del máximo.
+
+create or replace function public.add_group_chat_members(p_chat_id bigint, p_user_ids uuid[])
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_user_ids uuid[];
+    v_count integer;
+begin
+    if not public.current_user_is_active() then
+        raise exception 'Tu cuenta está suspendida.' using errcode = '42501';
+    end if;
+
+    perform 1 from private_chats where id = p_chat_id and is_group for update;
+
+    if not found or not public.is_chat_participant(p_chat_id) then
+        raise exception 'No participás de este grupo.' using errcode = '42501';
+    end if;
+
+    select coalesce(array_agg(distinct user_id), '{}')
+    into v_user_ids
+    from unnest(coalesce(p_user_ids, '{}')) as members(user_id)
+    where user_id is not null
+        and not exists (
+            select 1 from private_chat_members m where m.chat_id = p_chat_id and m.user_id = members.user_id
+        );
+
+    select count(*) into v_count from private_chat_members where chat_id = p_chat_id;
+
+    if v_count + cardinality(v_user_ids) > 20 then
+        raise exception 'Un grupo puede tener hasta 20 participantes.' using errcode = '22023';
+    end if;
+
+    -- Dos usuarios con un bloqueo no pueden quedar en el mismo grupo.
+    if public.has_blocks_between(
+        v_user_ids,
+        v_user_ids || array(select user_id from private_chat_members where chat_id = p_chat_id)
+    ) then
+        raise exception 'Alguno de los participantes no puede estar en este grupo.' using errcode = '42501';
+    end if;
+
+    insert into private_chat_members (chat_id, user_id, added_by)
+    select p_chat_id, user_id, auth.uid()
+    from unnest(v_user_ids) as members(user_id);
+end;
+$$;
+
+revoke execute on function public.add_group_chat_members(bigint, uuid[]) from public, anon;
+grant execute on function public.add_group_chat_members(bigint, uuid[]) to authenticated;
@@ -0,0 +1,34 @@
+-- Búsqueda en los mensajes sin cifrar de los chats (ver searchPrivateChatMessages
+-- en src/services/private-chat.js).
+-- Un mensaje coincide si tiene todos los términos al inicio de una palabra,
+-- sin distinguir tildes ni mayúsculas, igual que matchesAllTerms en
+-- src/helpers/search.js (los términos de getSearchTerms ya vienen en
+-- minúsculas, sin tildes y solo con letras y números). El límite se aplica
+-- después de filtrar: se devuelven los p_limit más nuevos que coinciden.
+-- Es security invoker: las políticas de RLS de private_chat_messages se aplican igual.
+
+create extension if not exists unaccent with schema extensions;
+
+create or replace function public.search_chat_messages(
+    p_chat_ids bigint[],
+    p_terms text[],
+    p_limit integer default 50
+)
+returns setof public.private_chat_messages
+language sql
+stable
+set search_path = public
+as $$
+    select m.*
+    from private_chat_messages m
+    where m.chat_id = any(p_chat_ids)
+        and not m.encrypted
+        and cardinality(p_terms) > 0
+        and not exists (
+            select 1
+            from unnest(p_terms) as terms(term)
+            where lower(extensions.unaccent(coalesce(m.content, ''))) !~ ('(^|[^[:alnum:]])' || terms.term)
+        )
+    order by m.created_at desc, m.id desc
+    limit least(greatest(coalesce(p_limit, 50), 1), 100);
+$$;